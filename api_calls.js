@@ -1,6 +1,69 @@
 // api_calls.js – Centralized OCR + Parse calls with debug helpers
 // NOTE: no UI or CSS changes here.
 
+import { recognizeWithTesseract } from './tesseract_ocr.js';
+import { parseEventsLocally } from './local_parser.js';
+import { fitImageForProvider } from './image_budget.js';
+import { ocrCacheKey, getCachedOcr, putCachedOcr } from './ocr_cache.js';
+import { providerFetch, cancelledError } from './provider_request.js';
+import { customEndpoint, customHeaders, isCustomConfigured, listCustomModels, extractJson } from './openai_compat.js';
+import { validateEvents } from './event_schema.js';
+
+// Defaults when no model is configured (and for fallback providers, which never use the
+// model picked for the primary one)
+export const OCR_DEFAULT_MODELS = {
+  'openai-vision': 'gpt-4o-mini',
+  'claude-vision': 'claude-3-haiku-20240307',
+  'gemini-vision': 'gemini-1.5-flash',
+  tesseract: 'eng',
+};
+export const PARSE_DEFAULT_MODELS = {
+  openai: 'gpt-4o-mini',
+  claude: 'claude-3-haiku-20240307',
+  gemini: 'gemini-1.5-flash',
+};
+
+// Errors carry the HTTP status so callers can tell rate limits and outages from bad input
+function apiError(message, status) {
+  const err = new Error(message);
+  if (status) err.status = status;
+  return err;
+}
+
+// A model reply that is not the JSON asked for. Parsing gives these one repair round, with the
+// reply itself (`output`) quoted back to the model.
+function invalidOutput(message, output) {
+  const err = new Error(message);
+  err.invalidOutput = true;
+  err.output = String(output || '').slice(0, 4000);
+  return err;
+}
+
+// 'data:image/webp;base64,AAA' → { mime: 'image/webp', base64: 'AAA' } for APIs that take them apart
+function dataUrlParts(dataUrl) {
+  const match = /^data:(.*?);base64,(.*)$/.exec(dataUrl);
+  return { mime: (match && match[1]) || 'image/png', base64: (match && match[2]) || (dataUrl.split(',')[1] || '') };
+}
+
+function modelJson(content, label, parse = JSON.parse) {
+  try {
+    return parse(content);
+  } catch (e) {
+    throw invalidOutput(`${label} did not return valid JSON: ${e.message}`, content);
+  }
+}
+
+// Error pages (502s from a proxy, HTML from a CDN) are not JSON; report the status instead
+async function readJson(response) {
+  try {
+    return await response.json();
+  } catch (e) {
+    if (e?.name === 'AbortError') throw e;
+    if (e?.name === 'TimeoutError') throw apiError('Request timed out while reading the response', 0);
+    throw apiError(`HTTP ${response.status} (response was not JSON)`, response.status);
+  }
+}
+
 // --------------------------- OCR (with debug) ---------------------------
 
 async function callGoogleVisionOCRDebug(dataUrlOrHttpUrl, settings = {}) {
@@ -23,15 +86,15 @@ async function callGoogleVisionOCRDebug(dataUrlOrHttpUrl, settings = {}) {
 
   const endpoint = `https://vision.googleapis.com/v1/images:annotate?key=${settings.googleKey}`;
   console.log(`[T2C DEBUG] Calling Google Vision OCR: ${endpoint}`);
-  const response = await fetch(endpoint, {
+  const response = await providerFetch('google-vision', endpoint, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(payload),
-  });
+  }, { signal: settings.signal });
 
-  const data = await response.json();
-  const err = data?.responses?.[0]?.error?.message || (!response.ok && `HTTP ${response.status}`);
-  if (err) throw new Error(`Google Vision API error: ${err}`);
+  const data = await readJson(response);
+  const err = data?.error?.message || data?.responses?.[0]?.error?.message || (!response.ok && `HTTP ${response.status}`);
+  if (err) throw apiError(`Google Vision API error: ${err}`, response.ok ? 0 : response.status);
 
   const r = data?.responses?.[0] || {};
   const text =
@@ -45,7 +108,7 @@ async function callGoogleVisionOCRDebug(dataUrlOrHttpUrl, settings = {}) {
 async function callOpenAIVisionOCRDebug(dataUrl, settings = {}) {
   if (!settings.openaiKey) throw new Error('OpenAI API key is missing.');
   // Prefer model from settings, then storage, then fallback.
-  const chosenModel = settings.model || (await chrome.storage.sync.get(['ocrModel'])).ocrModel || 'gpt-4o-mini';
+  const chosenModel = settings.model || (await chrome.storage.sync.get(['ocrModel'])).ocrModel || OCR_DEFAULT_MODELS['openai-vision'];
 
   const endpoint = 'https://api.openai.com/v1/chat/completions';
   const body = {
@@ -64,29 +127,29 @@ async function callOpenAIVisionOCRDebug(dataUrl, settings = {}) {
   console.log(`[T2C DEBUG] Calling OpenAI Vision OCR: ${endpoint} (model: ${chosenModel})`);
   
   const makeRequest = async (payload) => {
-    return await fetch(endpoint, {
+    return await providerFetch('openai-vision', endpoint, {
       method: 'POST',
     headers: {
       Authorization: `Bearer ${settings.openaiKey}`,
       'Content-Type': 'application/json',
     },
-    body: JSON.stringify(body),
-  });
+    body: JSON.stringify(payload),
+  }, { signal: settings.signal });
 
   };
 
   let response = await makeRequest(body);
-  let data = await response.json();
+  let data = await readJson(response);
 
   // If the first attempt fails because of a token parameter issue, adapt and retry.
   if (!response.ok && data.error?.message?.includes('max_tokens')) {
     console.log('[T2C DEBUG] Retrying OpenAI call with max_tokens parameter.');
     const newBody = { ...body, max_tokens: 2000 };
     response = await makeRequest(newBody);
-    data = await response.json();
+    data = await readJson(response);
   }
 
-  if (!response.ok) throw new Error(data.error?.message || `API Error ${response.status}`);
+  if (!response.ok) throw apiError(data.error?.message || `API Error ${response.status}`, response.status);
 
   const text = data.choices?.[0]?.message?.content || '';
   return { text, debug: { provider: 'openai-vision', model: chosenModel, endpoint, payload: body } };
@@ -95,10 +158,10 @@ async function callOpenAIVisionOCRDebug(dataUrl, settings = {}) {
 async function callClaudeVisionOCRDebug(dataUrl, settings = {}) {
   if (!settings.claudeKey) throw new Error('Claude API key is missing.');
 
-  const base64 = dataUrl.split(',')[1];
+  const { mime, base64 } = dataUrlParts(dataUrl);
   const endpoint = 'https://api.anthropic.com/v1/messages';
   // Prefer model from settings (for tests), then storage, then fallback.
-  const chosenModel = settings.model || (await chrome.storage.sync.get(['ocrModel'])).ocrModel || 'claude-3-haiku-20240307';
+  const chosenModel = settings.model || (await chrome.storage.sync.get(['ocrModel'])).ocrModel || OCR_DEFAULT_MODELS['claude-vision'];
   const body = {
     model: chosenModel,
     max_tokens: 2000,
@@ -106,7 +169,7 @@ async function callClaudeVisionOCRDebug(dataUrl, settings = {}) {
       {
         role: 'user',
         content: [
-          { type: 'image', source: { type: 'base64', media_type: 'image/png', data: base64 } },
+          { type: 'image', source: { type: 'base64', media_type: mime, data: base64 } },
           { type: 'text', text: 'Extract text from this image.' },
         ],
       },
@@ -114,7 +177,7 @@ async function callClaudeVisionOCRDebug(dataUrl, settings = {}) {
   };
 
   console.log(`[T2C DEBUG] Calling Claude Vision OCR: ${endpoint} (model: ${body.model})`);
-  const response = await fetch(endpoint, {
+  const response = await providerFetch('claude-vision', endpoint, {
     method: 'POST',
     headers: {
       'x-api-key': settings.claudeKey,
@@ -123,10 +186,10 @@ async function callClaudeVisionOCRDebug(dataUrl, settings = {}) {
       'Content-Type': 'application/json',
     },
     body: JSON.stringify(body),
-  });
+  }, { signal: settings.signal });
 
-  const data = await response.json();
-  if (!response.ok) throw new Error(data.error?.message || `API Error ${response.status}`);
+  const data = await readJson(response);
+  if (!response.ok) throw apiError(data.error?.message || `API Error ${response.status}`, response.status);
 
   const text = data.content?.[0]?.text || '';
   return { text, debug: { provider: 'claude-vision', model: body.model, endpoint, payload: body } };
@@ -135,12 +198,10 @@ async function callClaudeVisionOCRDebug(dataUrl, settings = {}) {
 async function callGeminiVisionOCRDebug(dataUrl, settings = {}) {
   if (!settings.geminiKey) throw new Error('Gemini API key is missing.');
 
-  const match = /^data:(.*?);base64,(.*)$/.exec(dataUrl);
-  const mime = (match && match[1]) || 'image/png';
-  const b64 = (match && match[2]) || (dataUrl.split(',')[1] || '');
+  const { mime, base64 } = dataUrlParts(dataUrl);
 
   // Prefer model from settings, then storage, then fallback.
-  let modelName = settings.model || (await chrome.storage.sync.get(['ocrModel'])).ocrModel || 'gemini-1.5-flash';
+  let modelName = settings.model || (await chrome.storage.sync.get(['ocrModel'])).ocrModel || OCR_DEFAULT_MODELS['gemini-vision'];
   // Ensure the model name has the 'models/' prefix for the API call.
   if (!modelName.startsWith('models/')) modelName = 'models/' + modelName;
 
@@ -150,21 +211,21 @@ async function callGeminiVisionOCRDebug(dataUrl, settings = {}) {
       {
         parts: [
           { text: 'Extract all text from this image exactly as it appears.' },
-          { inline_data: { mime_type: mime, data: b64 } },
+          { inline_data: { mime_type: mime, data: base64 } },
         ],
       },
     ],
   };
 
   console.log(`[T2C DEBUG] Calling Gemini Vision OCR: ${endpointBase}`);
-  const response = await fetch(`${endpointBase}?key=${settings.geminiKey}`, {
+  const response = await providerFetch('gemini-vision', `${endpointBase}?key=${settings.geminiKey}`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(payload),
-  });
+  }, { signal: settings.signal });
 
-  const data = await response.json();
-  if (!response.ok) throw new Error(data.error?.message || `Gemini Vision API ${response.status}`);
+  const data = await readJson(response);
+  if (!response.ok) throw apiError(data.error?.message || `Gemini Vision API ${response.status}`, response.status);
 
   const text =
     data.candidates?.[0]?.content?.parts?.map((p) => p.text || '').join('') || '';
@@ -172,22 +233,149 @@ async function callGeminiVisionOCRDebug(dataUrl, settings = {}) {
   return { text, debug: { provider: 'gemini-vision', model: modelName, endpoint: endpointBase, payload } };
 }
 
-// Centralized OCR entry points
-export async function performOcrDebug(provider, dataUrl, settings) {
+// Custom OpenAI-compatible server. Without a model (a fallback, or nothing picked yet) the
+// first model the server lists is used – local servers usually run just one or two. Servers
+// with no model list (Azure deployments fix the model in the URL) are sent none. The answer
+// is remembered per base URL for the life of the service worker.
+const listedCustomModels = new Map();
+
+async function customModel(settings, provider) {
+  if (settings.model) return settings.model;
+  const base = settings.customBaseUrl.trim();
+  if (!listedCustomModels.has(base)) {
+    const models = await listCustomModels(settings, { signal: settings.signal, provider }).catch((e) => {
+      if (e?.name === 'AbortError') throw e;
+      return null;
+    });
+    // A failed listing is not remembered: the server may just not be up yet
+    if (!models) return undefined;
+    listedCustomModels.set(base, models[0]);
+  }
+  return listedCustomModels.get(base) || undefined;
+}
+
+async function callCustomVisionOCRDebug(dataUrl, settings = {}) {
+  if (!isCustomConfigured(settings)) throw new Error('Custom endpoint base URL is missing.');
+  const endpoint = customEndpoint(settings.customBaseUrl, 'chat/completions');
+  const body = {
+    model: await customModel(settings, 'custom-vision'),
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: 'Extract all text from this image exactly as it appears.' },
+          { type: 'image_url', image_url: { url: dataUrl } },
+        ],
+      },
+    ],
+    max_tokens: 2000,
+  };
+
+  console.log(`[T2C DEBUG] Calling custom OpenAI-compatible OCR: ${endpoint} (model: ${body.model})`);
+  const response = await providerFetch('custom-vision', endpoint, {
+    method: 'POST',
+    headers: customHeaders(settings, { 'Content-Type': 'application/json' }),
+    body: JSON.stringify(body),
+  }, { signal: settings.signal });
+
+  const data = await readJson(response);
+  if (!response.ok) throw apiError(data.error?.message || (typeof data.error === 'string' && data.error) || `Custom endpoint ${response.status}`, response.status);
+
+  const text = data.choices?.[0]?.message?.content || '';
+  return { text, debug: { provider: 'custom-vision', model: body.model, endpoint, payload: body } };
+}
+
+async function callTesseractOCRDebug(dataUrl, settings = {}) {
+  // For Tesseract the "model" is the traineddata language code
+  const lang = settings.model || OCR_DEFAULT_MODELS.tesseract;
+  console.log(`[T2C DEBUG] Running local Tesseract OCR (lang: ${lang})`);
+  // The offscreen engine cannot be interrupted; a cancelled request just stops waiting for it
+  const { signal } = settings;
+  if (signal?.aborted) throw cancelledError();
+  const recognition = recognizeWithTesseract(dataUrl, { lang, requestId: settings.requestId || null });
+  const { text, confidence } = await (signal
+    ? Promise.race([recognition, new Promise((_, reject) => signal.addEventListener('abort', () => reject(cancelledError()), { once: true }))])
+    : recognition);
+  return { text, debug: { provider: 'tesseract', model: lang, endpoint: 'offscreen:sandbox.html', confidence } };
+}
+
+function dispatchOcrDebug(provider, dataUrl, settings) {
   switch (provider) {
     case 'google-vision':
-      return await callGoogleVisionOCRDebug(dataUrl, settings);
+      return callGoogleVisionOCRDebug(dataUrl, settings);
     case 'openai-vision':
-      return await callOpenAIVisionOCRDebug(dataUrl, settings);
+      return callOpenAIVisionOCRDebug(dataUrl, settings);
     case 'claude-vision':
-      return await callClaudeVisionOCRDebug(dataUrl, settings);
+      return callClaudeVisionOCRDebug(dataUrl, settings);
     case 'gemini-vision':
-      return await callGeminiVisionOCRDebug(dataUrl, settings);
+      return callGeminiVisionOCRDebug(dataUrl, settings);
+    case 'custom-vision':
+      return callCustomVisionOCRDebug(dataUrl, settings);
+    case 'tesseract':
+      return callTesseractOCRDebug(dataUrl, settings);
     default:
       throw new Error(`Unknown OCR provider: ${provider}`);
   }
 }
 
+// The model an OCR call will use, worked out the way each call does it (settings, then the
+// stored ocrModel, then the default), so the cache key names the model that is really sent
+async function resolveOcrModel(provider, settings) {
+  if (provider === 'custom-vision') return isCustomConfigured(settings) ? customModel(settings, 'custom-vision') : settings.model;
+  if (settings.model || provider === 'google-vision') return settings.model || '';
+  if (provider === 'tesseract') return OCR_DEFAULT_MODELS.tesseract;
+  return (await chrome.storage.sync.get(['ocrModel'])).ocrModel || OCR_DEFAULT_MODELS[provider];
+}
+
+// Model part of the OCR cache key. A custom endpoint's answer depends on the server too, so its
+// base URL goes in; with no model known there is nothing safe to key on (null: no caching).
+function cacheModel(provider, settings) {
+  if (provider !== 'custom-vision') return settings.model;
+  return settings.model ? `${settings.model}@${customEndpoint(settings.customBaseUrl, '')}` : null;
+}
+
+// Centralized OCR entry points. Results are cached per image/provider/model
+// (settings.bypassCache forces a fresh call, which then replaces the cached entry);
+// debug.cache is 'hit', 'miss' or 'bypass'. Cache errors never fail the OCR itself.
+export async function performOcrDebug(provider, dataUrl, settings = {}) {
+  // Resolve the model up front so the key and the call agree on it
+  settings = { ...settings, model: await resolveOcrModel(provider, settings) };
+  let key = null;
+  try {
+    const model = cacheModel(provider, settings);
+    key = model === null ? null : await ocrCacheKey(provider, model, dataUrl);
+    const cached = key && !settings.bypassCache ? await getCachedOcr(key) : null;
+    if (cached) {
+      console.log(`[T2C DEBUG] OCR cache hit for ${provider}`);
+      return { text: cached.text, debug: { ...cached.debug, cache: 'hit', cachedAt: cached.createdAt } };
+    }
+  } catch (e) {
+    console.warn('[T2C] OCR cache lookup failed:', e.message);
+  }
+
+  const result = await callOcrWithBudget(provider, dataUrl, settings);
+  result.debug.cache = settings.bypassCache ? 'bypass' : 'miss';
+  if (key && result.text) putCachedOcr(key, result.text, result.debug).catch((e) => console.warn('[T2C] OCR cache write failed:', e.message));
+  return result;
+}
+
+// Cloud providers get the image scaled/re-encoded to their size budget first;
+// debug.image records what was captured and what was actually sent.
+async function callOcrWithBudget(provider, dataUrl, settings) {
+  return withImageBudget(provider, dataUrl, (image) => dispatchOcrDebug(provider, image, settings));
+}
+
+// run(fittedDataUrl) → { debug, ... }; adds debug.image
+async function withImageBudget(provider, dataUrl, run) {
+  const fitted = await fitImageForProvider(provider, dataUrl);
+  if (fitted.sent && fitted.sent !== fitted.original) {
+    console.log(`[T2C DEBUG] Image resized for ${provider}: ${fitted.original.width}x${fitted.original.height} ${fitted.original.bytes} B -> ${fitted.sent.width}x${fitted.sent.height} ${fitted.sent.type} ${fitted.sent.bytes} B`);
+  }
+  const result = await run(fitted.dataUrl);
+  if (fitted.original) result.debug.image = { original: fitted.original, sent: fitted.sent, resized: fitted.sent !== fitted.original };
+  return result;
+}
+
 export async function performOcr(provider, dataUrl, settings) {
   const { text } = await performOcrDebug(provider, dataUrl, settings);
   return text;
@@ -195,8 +383,10 @@ export async function performOcr(provider, dataUrl, settings) {
 
 // --------------------------- Parsing (with debug) ---------------------------
 
-function buildParsePrompt(text) {
-  return `Your task is to analyze ONLY the text provided below and extract event details into a single raw JSON object with keys: "title", "start", "end", "location", "hasTime". The current date is ${new Date().toString()}.
+// Shared by the text parser and direct vision parsing; `subject` is what to read, `shape` the
+// JSON object to return
+function eventPrompt(subject, shape) {
+  return `Your task is to analyze ONLY ${subject} and extract EVERY distinct event it describes. Return a single raw JSON object of the form ${shape} where each element of "events" has keys: "title", "start", "end", "location", "hasTime", "recurrence", "timeZone", "inferred". Schedules, agendas and flyers often list several sessions — return one element per session, in the order they appear. If there is only one event, return an array with one element. The current date is ${new Date().toString()}.
 
 IMPORTANT: All relative and recurring date references MUST point to UPCOMING/FUTURE dates, never past dates:
 - "First Tuesday of the month" means the NEXT occurrence (if today is late October, use November's first Tuesday)
@@ -204,75 +394,146 @@ IMPORTANT: All relative and recurring date references MUST point to UPCOMING/FUT
 - "Every Monday" or "Every Other Friday" should use the next occurrence
 - Any day-of-week reference (e.g., "Monday", "this Friday") should be the upcoming occurrence
 
-Format dates as local ISO 8601 strings (e.g., "2025-09-23T17:30:00"). If info is missing, use null. --- ${text} ---`;
+RECURRENCE: If the event repeats ("every Monday", "every other Friday", "first Tuesday of the month", "daily until June 1"), set "start"/"end" to the NEXT occurrence AND set "recurrence" to an object with keys:
+- "frequency": one of "DAILY", "WEEKLY", "MONTHLY", "YEARLY"
+- "interval": integer, 1 unless the text says every other / every 2nd / every 3 weeks etc.
+- "byDay": array of RFC 5545 weekday codes ("MO","TU","WE","TH","FR","SA","SU"); for monthly ordinal patterns prefix the ordinal, e.g. "first Tuesday" → ["1TU"], "last Friday" → ["-1FR"]; use [] if not applicable
+- "until": last date as "YYYY-MM-DD" if an end date is given, else null
+- "count": number of occurrences if given, else null
+If the event does not repeat, set "recurrence" to null.
+
+TIME ZONES: Keep "start"/"end" as the wall-clock time written in the text — never convert between zones and never add an offset. If the text states a zone ("2pm ET", "10:00 CET", "UTC+1", "7pm Pacific Time", "all times Eastern"), set "timeZone" to its IANA name (e.g. "America/New_York"); otherwise set it to null.
+
+INFERRED: Set "inferred" to the keys whose values you worked out rather than read directly (a relative date resolved to a calendar date, an assumed year, end time or time zone), e.g. ["start", "end"]; use [] when everything is written out.
+
+Format dates as local ISO 8601 strings (e.g., "2025-09-23T17:30:00"). If info is missing, use null.`;
+}
+
+function buildParsePrompt(text) {
+  return `${eventPrompt('the text provided below', '{"events": [ ... ]}')} --- ${text} ---`;
+}
+
+function buildVisionParsePrompt() {
+  return `${eventPrompt('the attached image', '{"transcript": "...", "events": [ ... ]}')}
+
+"transcript" must hold all text visible in the image, exactly as it appears, one line per line of text.`;
+}
+
+// Repair prompt: the original instructions, the rejected answer and what was wrong with it
+function buildRepairPrompt(prompt, attempt) {
+  const previous = attempt.reply ? JSON.stringify(attempt.reply.result) : attempt.error.output;
+  return `${prompt}
+
+Your previous answer was:
+${previous || '(empty)'}
+
+It does not match the required format:
+${attempt.problems.map((p) => `- ${p}`).join('\n')}
+Answer again with the corrected JSON only, following every rule above.`;
+}
+
+// One parse call checked against the event schema → { reply, checked, problems }. A reply that
+// is not JSON at all counts as a problem too (reply null, error kept for the repair prompt).
+async function checkedParse(prompt, call) {
+  try {
+    const reply = await call(prompt);
+    const checked = validateEvents(reply.result);
+    return { reply, checked, problems: checked.errors };
+  } catch (e) {
+    if (!e.invalidOutput) throw e;
+    return { reply: null, checked: null, problems: [e.message], error: e };
+  }
+}
+
+// call(prompt) → { result, debug } from a model. Resolves { result: { events }, debug } with the
+// events normalized by event_schema.js. An answer that fails the schema is sent back once with
+// the errors; the better of the two answers is kept (fields still failing end up null) and
+// debug.validation records what happened.
+async function parseWithRepair(prompt, call) {
+  const first = await checkedParse(prompt, call);
+  if (!first.problems.length) return { result: { events: first.checked.events }, debug: first.reply.debug };
+
+  console.warn('[T2C] Parser answer failed the event schema; asking for a repair:', first.problems);
+  let second = null;
+  try {
+    second = await checkedParse(buildRepairPrompt(prompt, first), call);
+  } catch (e) {
+    if (e?.name === 'AbortError' || !first.reply) throw e;
+    console.warn('[T2C] Repair request failed; keeping the first answer:', e.message);
+  }
+  const best = second?.reply && (!first.reply || second.problems.length <= first.problems.length) ? second : first;
+  if (!best.reply) throw first.error;
+  const validation = { errors: first.problems, repaired: best === second && !best.problems.length, remaining: best.problems };
+  return { result: { events: best.checked.events }, debug: { ...best.reply.debug, validation } };
 }
 
-async function callOpenAIParseDebug(text, settings = {}) {
+async function callOpenAIParseDebug(prompt, settings = {}) {
   if (!settings.openaiKey) throw new Error('OpenAI key missing.');
   const endpoint = 'https://api.openai.com/v1/chat/completions';
-  const chosenModel = settings.model || (await chrome.storage.sync.get(['parseModel'])).parseModel || 'gpt-4o-mini';
+  const chosenModel = settings.model || (await chrome.storage.sync.get(['parseModel'])).parseModel || PARSE_DEFAULT_MODELS.openai;
   const body = {
     model: chosenModel,
-    messages: [{ role: 'user', content: buildParsePrompt(text) }],
+    messages: [{ role: 'user', content: prompt }],
     response_format: { type: 'json_object' },
   };
-  const resp = await fetch(endpoint, {
+  const resp = await providerFetch('openai', endpoint, {
     method: 'POST',
     headers: { Authorization: `Bearer ${settings.openaiKey}`, 'Content-Type': 'application/json' },
     body: JSON.stringify(body),
-  });
-  const data = await resp.json();
-  if (!resp.ok) throw new Error(data.error?.message || `OpenAI API ${resp.status}`);
-  const result = JSON.parse(data.choices?.[0]?.message?.content || '{}');
+  }, { signal: settings.signal });
+  const data = await readJson(resp);
+  if (!resp.ok) throw apiError(data.error?.message || `OpenAI API ${resp.status}`, resp.status);
+  const result = modelJson(data.choices?.[0]?.message?.content || '{}', 'OpenAI');
   return { result, debug: { provider: 'openai', model: body.model, endpoint, payload: body } };
 }
 
-async function callGeminiParseDebug(text, settings = {}) {
+async function callGeminiParseDebug(prompt, settings = {}) {
   if (!settings.geminiKey) throw new Error('Gemini key missing.');
   // Prefer model from settings, then storage, then fallback.
-  let modelName = settings.model || (await chrome.storage.sync.get(['parseModel'])).parseModel || 'gemini-1.5-flash';
+  let modelName = settings.model || (await chrome.storage.sync.get(['parseModel'])).parseModel || PARSE_DEFAULT_MODELS.gemini;
   // Ensure the model name has the 'models/' prefix for the API call.
   if (!modelName.startsWith('models/')) modelName = 'models/' + modelName;
 
   const endpointBase = `https://generativelanguage.googleapis.com/v1beta/${modelName}:generateContent`;
   const payload = {
-    contents: [{ parts: [{ text: buildParsePrompt(text) }] }],
+    contents: [{ parts: [{ text: prompt }] }],
     generationConfig: { response_mime_type: 'application/json' },
   };
 
   console.log(`[T2C DEBUG] Calling Gemini Parse: ${endpointBase}`);
-  const resp = await fetch(`${endpointBase}?key=${settings.geminiKey}`, {
+  const resp = await providerFetch('gemini', `${endpointBase}?key=${settings.geminiKey}`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(payload),
-  });
+  }, { signal: settings.signal });
 
   const rawResponse = await resp.text();
   if (!resp.ok) {
     console.error(`[T2C DEBUG] Gemini Parse Error Response (status ${resp.status}):`, rawResponse);
-    throw new Error(`Gemini API Error ${resp.status}: ${rawResponse}`);
+    throw apiError(`Gemini API Error ${resp.status}: ${rawResponse}`, resp.status);
   }
 
+  let data;
   try {
-    const data = JSON.parse(rawResponse);
-    const rawJson = data.candidates?.[0]?.content?.parts?.[0]?.text || '{}';
-    const result = JSON.parse(rawJson);
-    return { result, debug: { provider: 'gemini', model: modelName, endpoint: endpointBase, payload } };
+    data = JSON.parse(rawResponse);
   } catch (e) {
     throw new Error(`Failed to parse Gemini JSON response: ${e.message}. Raw response: ${rawResponse}`);
   }
+  const rawJson = data.candidates?.[0]?.content?.parts?.[0]?.text || '{}';
+  const result = modelJson(rawJson, 'Gemini');
+  return { result, debug: { provider: 'gemini', model: modelName, endpoint: endpointBase, payload } };
 }
 
-async function callClaudeParseDebug(text, settings = {}) {
+async function callClaudeParseDebug(prompt, settings = {}) {
   if (!settings.claudeKey) throw new Error('Claude key missing.');
   const endpoint = 'https://api.anthropic.com/v1/messages';
-  const chosenModel = settings.model || (await chrome.storage.sync.get(['parseModel'])).parseModel || 'claude-3-haiku-20240307';
+  const chosenModel = settings.model || (await chrome.storage.sync.get(['parseModel'])).parseModel || PARSE_DEFAULT_MODELS.claude;
   const body = {
     model: chosenModel,
     max_tokens: 1024,
-    messages: [{ role: 'user', content: buildParsePrompt(text) + '\n\nReturn JSON inside <json> tags.' }],
+    messages: [{ role: 'user', content: prompt + '\n\nReturn JSON inside <json> tags.' }],
   };
-  const resp = await fetch(endpoint, {
+  const resp = await providerFetch('claude', endpoint, {
     method: 'POST',
     headers: {
       'x-api-key': settings.claudeKey, 
@@ -281,26 +542,208 @@ async function callClaudeParseDebug(text, settings = {}) {
       'Content-Type': 'application/json',
     },
     body: JSON.stringify(body),
-  });
-  const data = await resp.json();
-  if (!resp.ok) throw new Error(data.error?.message || `Claude API ${resp.status}`);
-  const match = data.content?.[0]?.text?.match(/<json>([\s\S]*?)<\/json>/);
-  if (!match) throw new Error('Valid JSON not found in Claude response.');
-  const result = JSON.parse(match[1]);
+  }, { signal: settings.signal });
+  const data = await readJson(resp);
+  if (!resp.ok) throw apiError(data.error?.message || `Claude API ${resp.status}`, resp.status);
+  const content = data.content?.[0]?.text || '';
+  const match = content.match(/<json>([\s\S]*?)<\/json>/);
+  if (!match) throw invalidOutput('Valid JSON not found in Claude response.', content);
+  const result = modelJson(match[1], 'Claude');
   return { result, debug: { provider: 'claude', model: body.model, endpoint, payload: body } };
 }
 
-export async function performLlmParseDebug(provider, text, settings) {
+async function callCustomParseDebug(prompt, settings = {}) {
+  if (!isCustomConfigured(settings)) throw new Error('Custom endpoint base URL is missing.');
+  const endpoint = customEndpoint(settings.customBaseUrl, 'chat/completions');
+  const body = {
+    model: await customModel(settings, 'custom'),
+    messages: [{ role: 'user', content: prompt }],
+    response_format: { type: 'json_object' },
+  };
+  const send = (payload) => providerFetch('custom', endpoint, {
+    method: 'POST',
+    headers: customHeaders(settings, { 'Content-Type': 'application/json' }),
+    body: JSON.stringify(payload),
+  }, { signal: settings.signal });
+
+  console.log(`[T2C DEBUG] Calling custom OpenAI-compatible parse: ${endpoint} (model: ${body.model})`);
+  let resp = await send(body);
+  let data = await readJson(resp);
+  // Not every server implements JSON mode (LM Studio only takes json_schema); the prompt
+  // already asks for raw JSON, so retry without it
+  if (!resp.ok && /response_format|json_object/i.test(JSON.stringify(data.error || ''))) {
+    console.log('[T2C DEBUG] Retrying custom parse without response_format.');
+    delete body.response_format;
+    resp = await send(body);
+    data = await readJson(resp);
+  }
+  if (!resp.ok) throw apiError(data.error?.message || (typeof data.error === 'string' && data.error) || `Custom endpoint ${resp.status}`, resp.status);
+  const result = modelJson(data.choices?.[0]?.message?.content, 'Custom endpoint', extractJson);
+  return { result, debug: { provider: 'custom', model: body.model, endpoint, payload: body } };
+}
+
+// Offline rule-based parser – no key, no model, no network
+function callLocalParseDebug(text) {
+  const result = parseEventsLocally(text);
+  return { result, debug: { provider: 'local', model: 'rules', endpoint: '(offline)', payload: { text } } };
+}
+
+async function dispatchLlmParseDebug(provider, prompt, settings) {
   switch (provider) {
-    case 'openai': return await callOpenAIParseDebug(text, settings);
-    case 'gemini': return await callGeminiParseDebug(text, settings);
-    case 'claude': return await callClaudeParseDebug(text, settings);
+    case 'openai': return await callOpenAIParseDebug(prompt, settings);
+    case 'gemini': return await callGeminiParseDebug(prompt, settings);
+    case 'claude': return await callClaudeParseDebug(prompt, settings);
+    case 'custom': return await callCustomParseDebug(prompt, settings);
     default: throw new Error(`Unknown LLM provider: ${provider}`);
   }
 }
 
+// Result is always { events: [...] } in the event_schema.js shape. The offline parser is only
+// normalized: asking it again would give the same answer.
+export async function performLlmParseDebug(provider, text, settings) {
+  if (provider === 'local') {
+    const { result, debug } = callLocalParseDebug(text);
+    return { result: { events: validateEvents(result).events }, debug };
+  }
+  return parseWithRepair(buildParsePrompt(text), (prompt) => dispatchLlmParseDebug(provider, prompt, settings));
+}
+
 // Back-compat
 export async function performLlmParse(provider, text, settings) {
   const { result } = await performLlmParseDebug(provider, text, settings);
   return result;
-}
\ No newline at end of file
+}
+
+// --------------------------- Direct vision parse ---------------------------
+// One call instead of OCR + parse: the image goes to the vision model together with the parse
+// instructions, and the reply carries both the transcript (for the OCR box) and the events.
+
+async function callOpenAIVisionParseDebug(dataUrl, prompt, settings = {}) {
+  if (!settings.openaiKey) throw new Error('OpenAI API key is missing.');
+  const endpoint = 'https://api.openai.com/v1/chat/completions';
+  const body = {
+    model: settings.model || OCR_DEFAULT_MODELS['openai-vision'],
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: dataUrl } },
+        ],
+      },
+    ],
+    response_format: { type: 'json_object' },
+  };
+  const resp = await providerFetch('openai-vision', endpoint, {
+    method: 'POST',
+    headers: { Authorization: `Bearer ${settings.openaiKey}`, 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  }, { signal: settings.signal });
+  const data = await readJson(resp);
+  if (!resp.ok) throw apiError(data.error?.message || `OpenAI API ${resp.status}`, resp.status);
+  const result = modelJson(data.choices?.[0]?.message?.content || '{}', 'OpenAI Vision');
+  return { result, debug: { provider: 'openai-vision', model: body.model, endpoint, payload: body } };
+}
+
+async function callClaudeVisionParseDebug(dataUrl, prompt, settings = {}) {
+  if (!settings.claudeKey) throw new Error('Claude API key is missing.');
+  const { mime, base64 } = dataUrlParts(dataUrl);
+  const endpoint = 'https://api.anthropic.com/v1/messages';
+  const body = {
+    model: settings.model || OCR_DEFAULT_MODELS['claude-vision'],
+    max_tokens: 4096,
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'image', source: { type: 'base64', media_type: mime, data: base64 } },
+          { type: 'text', text: prompt + '\n\nReturn JSON inside <json> tags.' },
+        ],
+      },
+    ],
+  };
+  const resp = await providerFetch('claude-vision', endpoint, {
+    method: 'POST',
+    headers: {
+      'x-api-key': settings.claudeKey,
+      'anthropic-version': '2023-06-01',
+      'anthropic-dangerous-direct-browser-access': 'true',
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(body),
+  }, { signal: settings.signal });
+  const data = await readJson(resp);
+  if (!resp.ok) throw apiError(data.error?.message || `Claude API ${resp.status}`, resp.status);
+  const content = data.content?.[0]?.text || '';
+  const match = content.match(/<json>([\s\S]*?)<\/json>/);
+  if (!match) throw invalidOutput('Valid JSON not found in Claude response.', content);
+  return { result: modelJson(match[1], 'Claude Vision'), debug: { provider: 'claude-vision', model: body.model, endpoint, payload: body } };
+}
+
+async function callGeminiVisionParseDebug(dataUrl, prompt, settings = {}) {
+  if (!settings.geminiKey) throw new Error('Gemini API key is missing.');
+  const { mime, base64 } = dataUrlParts(dataUrl);
+  let modelName = settings.model || OCR_DEFAULT_MODELS['gemini-vision'];
+  if (!modelName.startsWith('models/')) modelName = 'models/' + modelName;
+  const endpointBase = `https://generativelanguage.googleapis.com/v1beta/${modelName}:generateContent`;
+  const payload = {
+    contents: [{ parts: [{ text: prompt }, { inline_data: { mime_type: mime, data: base64 } }] }],
+    generationConfig: { response_mime_type: 'application/json' },
+  };
+  const resp = await providerFetch('gemini-vision', `${endpointBase}?key=${settings.geminiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  }, { signal: settings.signal });
+  const data = await readJson(resp);
+  if (!resp.ok) throw apiError(data.error?.message || `Gemini Vision API ${resp.status}`, resp.status);
+  const rawJson = data.candidates?.[0]?.content?.parts?.map((p) => p.text || '').join('') || '{}';
+  return { result: modelJson(rawJson, 'Gemini Vision'), debug: { provider: 'gemini-vision', model: modelName, endpoint: endpointBase, payload } };
+}
+
+async function callCustomVisionParseDebug(dataUrl, prompt, settings = {}) {
+  if (!isCustomConfigured(settings)) throw new Error('Custom endpoint base URL is missing.');
+  const endpoint = customEndpoint(settings.customBaseUrl, 'chat/completions');
+  const body = {
+    model: await customModel(settings, 'custom-vision'),
+    messages: [
+      {
+        role: 'user',
+        content: [
+          { type: 'text', text: prompt },
+          { type: 'image_url', image_url: { url: dataUrl } },
+        ],
+      },
+    ],
+  };
+  const resp = await providerFetch('custom-vision', endpoint, {
+    method: 'POST',
+    headers: customHeaders(settings, { 'Content-Type': 'application/json' }),
+    body: JSON.stringify(body),
+  }, { signal: settings.signal });
+  const data = await readJson(resp);
+  if (!resp.ok) throw apiError(data.error?.message || (typeof data.error === 'string' && data.error) || `Custom endpoint ${resp.status}`, resp.status);
+  return { result: modelJson(data.choices?.[0]?.message?.content, 'Custom endpoint', extractJson), debug: { provider: 'custom-vision', model: body.model, endpoint, payload: body } };
+}
+
+function dispatchVisionParseDebug(provider, dataUrl, prompt, settings) {
+  switch (provider) {
+    case 'openai-vision': return callOpenAIVisionParseDebug(dataUrl, prompt, settings);
+    case 'claude-vision': return callClaudeVisionParseDebug(dataUrl, prompt, settings);
+    case 'gemini-vision': return callGeminiVisionParseDebug(dataUrl, prompt, settings);
+    case 'custom-vision': return callCustomVisionParseDebug(dataUrl, prompt, settings);
+    default: throw new Error(`${provider} cannot parse images directly`);
+  }
+}
+
+// → { text (transcript), result: { events: [...] }, debug } with debug.mode = 'direct'. A repair
+// round re-sends the image, and its answer carries the transcript as well.
+export async function performVisionParseDebug(provider, dataUrl, settings = {}) {
+  let text = '';
+  const { result, debug } = await withImageBudget(provider, dataUrl, (image) => parseWithRepair(buildVisionParsePrompt(), async (prompt) => {
+    const reply = await dispatchVisionParseDebug(provider, image, prompt, settings);
+    if (typeof reply.result?.transcript === 'string' && reply.result.transcript) text = reply.result.transcript;
+    return reply;
+  }));
+  return { text, result, debug: { ...debug, mode: 'direct' } };
+}
@@ -1,9 +1,22 @@
-import { performOcrDebug, performLlmParse, performLlmParseDebug } from './api_calls.js';
+import { performOcrDebug, performLlmParse, performLlmParseDebug, performVisionParseDebug, OCR_DEFAULT_MODELS, PARSE_DEFAULT_MODELS } from './api_calls.js';
+import { buildChain, runProviderChain } from './provider_fallback.js';
+import { listCustomModels, isCustomConfigured } from './openai_compat.js';
+import {
+  createCalendarClient, getAccessToken, isSignedIn, signOut as signOutGoogle,
+  toCalendarResource, DEFAULT_CALENDAR_API_BASE,
+} from './google_calendar.js';
+import { fetchImageAsDataUrl } from './image_source.js';
+import { fetchCalendarLink } from './calendar_links.js';
 
 console.log('[T2C] Background service worker loaded (module)');
 
 let currentPopupWindowId = null;
 let capturedImageDataUrl = null; // Store image data between capture and popup ready
+let captureSource = null; // { url, title } of the captured page, saved with the history entry
+let pendingHistoryId = null; // History entry to re-open once the popup is ready
+let pendingText = null; // Selected text to parse (context menu) once the popup is ready
+let pendingEvents = null; // Events read from the page's structured data, sent once the popup is ready
+let pendingDomText = null; // Page text under the selection; when set the modal skips OCR
 
 // --- Helper: async sendResponse wrapper ---
 function handle(promise, sendResponse) {
@@ -17,6 +30,25 @@ function handle(promise, sendResponse) {
   return true; // keep message channel open
 }
 
+// Custom OpenAI-compatible endpoint (openai_compat.js)
+const CUSTOM_SETTINGS = ['customBaseUrl', 'customKey', 'customHeaders'];
+
+// Provider calls in flight for the modal, by requestId, so EC_CANCEL_REQUEST can abort them
+const inflight = new Map();
+
+async function withAbort(requestId, run) {
+  const controller = new AbortController();
+  if (requestId) inflight.set(requestId, controller);
+  try {
+    return await run(controller.signal);
+  } catch (e) {
+    if (e?.name === 'AbortError') return { ok: false, cancelled: true, error: 'Cancelled', requestId };
+    throw e;
+  } finally {
+    if (requestId) inflight.delete(requestId);
+  }
+}
+
 // --- sanitize debug so we don't spam base64 into logs/messages ---
 function redactBase64InPlace(obj) {
   try {
@@ -121,22 +153,35 @@ async function ensureContent(tabId, url) {
   }
 }
 
-// New function to encapsulate config checks
-async function checkConfiguredModelsAndKeys() {
+// --- Google Calendar API client (direct insert mode) ---
+async function getCalendarClient({ interactive = false } = {}) {
+  const s = await chrome.storage.sync.get(['gcalClientId', 'gcalApiBase']);
+  return createCalendarClient({
+    baseUrl: s.gcalApiBase || DEFAULT_CALENDAR_API_BASE,
+    getToken: () => getAccessToken({ clientId: s.gcalClientId || '', interactive }),
+  });
+}
+
+// New function to encapsulate config checks. Text captures pass { ocr: false }: they never run OCR.
+async function checkConfiguredModelsAndKeys({ ocr = true } = {}) {
   const settings = await chrome.storage.sync.get([
     'openaiKey', 'claudeKey', 'geminiKey', 'googleKey',
-    'ocrMethod', 'parseMethod', 'ocrModel', 'parseModel'
+    'ocrMethod', 'parseMethod', 'ocrModel', 'parseModel', 'customBaseUrl'
   ]);
 
-  // 1. Check if user has ANY API keys configured.
+  // 1. Check if user has ANY API keys configured (not needed when both steps run locally or
+  // on a configured custom endpoint, which may well be a keyless Ollama/LM Studio server).
   const hasAnyKey = settings.openaiKey || settings.claudeKey || settings.geminiKey || settings.googleKey;
-  if (!hasAnyKey) {
+  const customOk = isCustomConfigured(settings);
+  const keyless = (method, local, custom) => method === local || (method === custom && customOk);
+  const allKeyless = (!ocr || keyless(settings.ocrMethod, 'tesseract', 'custom-vision')) && keyless(settings.parseMethod, 'local', 'custom');
+  if (!hasAnyKey && !allKeyless) {
     console.log('[T2C] Config check failed: No API keys found at all.');
     return false; // No keys, so cannot proceed
   }
 
   // 2. Check if keys and models are configured for their *selected* methods
-  const ocrMethod = settings.ocrMethod;
+  const ocrMethod = ocr ? settings.ocrMethod : null;
   const parseMethod = settings.parseMethod;
 
   let ocrKeyOk = true;
@@ -144,8 +189,8 @@ async function checkConfiguredModelsAndKeys() {
   let parseKeyOk = true;
   let parseModelOk = true;
 
-  // OCR method checks
-  if (!ocrMethod) {
+  // OCR method checks (none for text captures)
+  if (ocr && !ocrMethod) {
     console.log('[T2C] Config check failed: No OCR method selected.');
     return false;
   }
@@ -162,6 +207,13 @@ async function checkConfiguredModelsAndKeys() {
     ocrKeyOk = !!settings.googleKey;
     // Google Vision doesn't typically use a selectable model string in the same way as OpenAI/Gemini/Claude
     // If a model was ever added for it, this would need adjustment. For now, no model check.
+  } else if (ocrMethod === 'tesseract') {
+    // Local OCR: no key, and the "model" (language) defaults to eng
+    ocrKeyOk = true;
+    ocrModelOk = true;
+  } else if (ocrMethod === 'custom-vision') {
+    // The key is optional; without a model the server's first listed one is used
+    ocrKeyOk = customOk;
   }
 
   // Parse method checks
@@ -178,6 +230,12 @@ async function checkConfiguredModelsAndKeys() {
   } else if (parseMethod === 'claude') {
     parseKeyOk = !!settings.claudeKey;
     parseModelOk = !!settings.parseModel;
+  } else if (parseMethod === 'local') {
+    // Offline rule-based parser: no key, no model
+    parseKeyOk = true;
+    parseModelOk = true;
+  } else if (parseMethod === 'custom') {
+    parseKeyOk = customOk;
   }
 
   const overallConfigOk = ocrKeyOk && ocrModelOk && parseKeyOk && parseModelOk;
@@ -211,8 +269,8 @@ async function startCapture(tab) {
   }
 }
 
-// Create popup window for processing
-async function createPopupWindow(imageDataUrl) {
+// Create popup window for processing an image, selected text or page events, or for re-opening a saved capture
+async function createPopupWindow(imageDataUrl, { source = null, historyId = null, text = null, events = null, domText = null } = {}) {
   try {
     // Close existing popup if open
     if (currentPopupWindowId) {
@@ -224,6 +282,11 @@ async function createPopupWindow(imageDataUrl) {
 
     // Store the image data URL to be sent when the popup is ready
     capturedImageDataUrl = imageDataUrl;
+    captureSource = source;
+    pendingHistoryId = historyId;
+    pendingText = text;
+    pendingEvents = events;
+    pendingDomText = domText;
 
     // Create new popup window
     const window = await chrome.windows.create({
@@ -252,12 +315,139 @@ chrome.windows.onRemoved.addListener((windowId) => {
   }
 });
 
+// --- Context menus: selected text → parser (no OCR); image → full-resolution OCR;
+// page → events from its structured data (no OCR, no LLM) ---------------------------------
+const MENU_SELECTION = 'ec-selection';
+const MENU_IMAGE = 'ec-image';
+const MENU_DETECT = 'ec-detect';
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({ id: MENU_SELECTION, title: 'Create event from selected text', contexts: ['selection'] });
+    chrome.contextMenus.create({ id: MENU_IMAGE, title: 'Create event from this image', contexts: ['image'] });
+    chrome.contextMenus.create({ id: MENU_DETECT, title: 'Detect events on this page', contexts: ['page'] });
+  });
+});
+
+// info.selectionText has its line breaks collapsed, so read the live selection when the page allows it
+async function readSelection(info, tab) {
+  if (tab?.id) {
+    try {
+      const [res] = await chrome.scripting.executeScript({
+        target: { tabId: tab.id, frameIds: [info.frameId || 0] },
+        func: () => window.getSelection()?.toString() || '',
+      });
+      if (res?.result?.trim()) return res.result;
+    } catch (e) {
+      console.warn('[T2C] Could not read the selection from the page, using the menu text:', e?.message || e);
+    }
+  }
+  return info.selectionText || '';
+}
+
+async function captureSelection(info, tab) {
+  if (!(await checkConfiguredModelsAndKeys({ ocr: false }))) {
+    chrome.runtime.openOptionsPage();
+    return;
+  }
+  const text = (await readSelection(info, tab)).trim();
+  if (!text) return;
+  const source = tab ? { url: tab.url || '', title: tab.title || '' } : null;
+  await createPopupWindow(null, { text, source });
+}
+
+// The original image file rather than a screenshot of it; if it cannot be fetched, fall back to
+// the usual drag-to-capture so the user still gets somewhere.
+async function captureImage(info, tab) {
+  if (!(await checkConfiguredModelsAndKeys())) {
+    chrome.runtime.openOptionsPage();
+    return;
+  }
+  let dataUrl;
+  try {
+    dataUrl = await fetchImageAsDataUrl(info.srcUrl, { tabId: tab?.id, frameId: info.frameId });
+  } catch (e) {
+    console.warn('[T2C] Could not fetch the image, falling back to screen capture:', e?.message || e);
+    startCapture(tab);
+    return;
+  }
+  const source = tab ? { url: tab.url || '', title: tab.title || '', imageUrl: info.srcUrl } : { imageUrl: info.srcUrl };
+  await createPopupWindow(dataUrl, { source });
+}
+
+// .ics / webcal: links found by content.js, fetched and parsed here. A link that fails is
+// logged and skipped so the others (and the page's own markup) still come through.
+async function importCalendarLinks(tab) {
+  if (!(await ensureContent(tab.id, tab.url))) return [];
+  let links = [];
+  try {
+    const res = await chrome.tabs.sendMessage(tab.id, { type: 't2c.findCalendarLinks' });
+    links = res?.links || [];
+  } catch (e) {
+    console.warn('[T2C] Could not look for calendar links:', e?.message || e);
+  }
+  const found = [];
+  for (const link of links) {
+    try {
+      const { events, total } = await fetchCalendarLink(link.url);
+      console.log(`[T2C] ${link.url}: ${total} event(s), keeping ${events.length}`);
+      found.push(...events);
+    } catch (e) {
+      console.warn(`[T2C] Could not import ${link.url}:`, e?.message || e);
+    }
+  }
+  return found;
+}
+
+// JSON-LD, microdata and hCalendar events from every frame (page_events.js) plus any linked
+// .ics files, straight to the popup. Nothing is sent to a provider, so no keys are needed.
+async function detectPageEvents(tab) {
+  if (!tab?.id) {
+    [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  }
+  if (!tab?.id || !isCapturableUrl(tab.url)) {
+    console.warn('[T2C] Cannot read events from this page:', tab?.url);
+    return;
+  }
+  let found = [];
+  try {
+    const results = await chrome.scripting.executeScript({ target: { tabId: tab.id, allFrames: true }, files: ['page_events.js'] });
+    found = results.flatMap((r) => (Array.isArray(r.result) ? r.result : []));
+  } catch (e) {
+    console.error('[T2C] Event detection failed:', e);
+  }
+  found.push(...await importCalendarLinks(tab));
+  // Frames can repeat the same embedded widget
+  const keys = new Set();
+  found = found.filter((ev) => {
+    const key = `${ev.title.toLowerCase()}|${ev.start.slice(0, 16)}`;
+    return !keys.has(key) && keys.add(key);
+  });
+  if (!found.length) {
+    await chrome.scripting.executeScript({
+      target: { tabId: tab.id },
+      func: () => alert('No events found on this page.\n\nIt has no schema.org (JSON-LD or microdata) or hCalendar event data and no readable .ics links. Try a screen capture instead.'),
+    }).catch(() => {});
+    return;
+  }
+  console.log(`[T2C] Detected ${found.length} event(s) on ${tab.url}`);
+  await createPopupWindow(null, { events: found, source: { url: tab.url || '', title: tab.title || '' } });
+}
+
+chrome.contextMenus?.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === MENU_SELECTION) captureSelection(info, tab);
+  if (info.menuItemId === MENU_IMAGE) captureImage(info, tab);
+  if (info.menuItemId === MENU_DETECT) detectPageEvents(tab);
+});
+
 // Toolbar button / keyboard (kept)
 chrome.action?.onClicked.addListener(async (tab) => {
   startCapture(tab);
 });
 chrome.commands?.onCommand.addListener(async (cmd) => { if (cmd === 'start-capture') {
   startCapture();
+} else if (cmd === 'detect-events') {
+  detectPageEvents();
 } });
 
 // --- Message router ----------------------------------------------------------
@@ -266,7 +456,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   if (msg?.type === 'DIAG_TEST_OCR') {
     return handle((async () => {
       // Get all keys and pass the selected model if present
-      const settings = await chrome.storage.sync.get(['openaiKey', 'claudeKey', 'geminiKey', 'googleKey']);
+      const settings = await chrome.storage.sync.get(['openaiKey', 'claudeKey', 'geminiKey', 'googleKey', ...CUSTOM_SETTINGS]);
       // For tests, pass the model from the UI directly to the API call settings
       if (msg.model) settings.model = msg.model;
 
@@ -278,7 +468,7 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   // Diagnostics: Parse (options page test)
   if (msg?.type === 'DIAG_TEST_PARSE') {
     return handle((async () => {
-      const settings = await chrome.storage.sync.get(['openaiKey', 'claudeKey', 'geminiKey']);
+      const settings = await chrome.storage.sync.get(['openaiKey', 'claudeKey', 'geminiKey', ...CUSTOM_SETTINGS]);
       // For tests, pass the model from the UI directly to the API call settings
       if (msg.model) settings.model = msg.model;
 
@@ -292,7 +482,9 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
     return handle((async () => {
       const s = await chrome.storage.sync.get([
         'ocrMethod', 'parseMethod', 'ocrModel', 'parseModel',
-        'openaiKey', 'claudeKey', 'geminiKey', 'googleKey'
+        'openaiKey', 'claudeKey', 'geminiKey', 'googleKey',
+        'gcalClientId', 'gcalDirectInsert', 'gcalCalendarId', 'gcalColorId', 'gcalReminders',
+        'calendarTarget', 'preprocess', 'customBaseUrl', 'directParse'
       ]);
       const settings = {
         ocrMethod: s.ocrMethod || '',
@@ -302,40 +494,155 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         openaiKey: s.openaiKey || '',
         claudeKey: s.claudeKey || '',
         geminiKey: s.geminiKey || '',
-        googleKey: s.googleKey || ''
+        googleKey: s.googleKey || '',
+        customConfigured: !!s.customBaseUrl,
+        gcalConfigured: !!s.gcalClientId,
+        gcalDirectInsert: !!s.gcalDirectInsert,
+        gcalCalendarId: s.gcalCalendarId || 'primary',
+        gcalColorId: s.gcalColorId || '',
+        gcalReminders: s.gcalReminders || '',
+        calendarTarget: s.calendarTarget || 'google',
+        preprocess: s.preprocess || null,
+        directParse: Array.isArray(s.directParse) ? s.directParse : []
       };
       return { ok: true, settings };
     })(), sendResponse);
   }
 
-  // Centralized OCR for modal — with debug
+  // Centralized OCR for modal — with debug. Walks the OCR fallback chain; debug.provider is
+  // the provider that produced the text and debug.fallbacks the ones that failed before it.
   if (msg?.type === 'EC_RUN_OCR') {
-    return handle((async () => {
-      const s = await chrome.storage.sync.get(['openaiKey', 'claudeKey', 'geminiKey', 'googleKey', 'ocrModel']);
+    return handle(withAbort(msg.requestId, async (signal) => {
+      const s = await chrome.storage.sync.get(['openaiKey', 'claudeKey', 'geminiKey', 'googleKey', 'ocrModel', 'ocrFallbacks', ...CUSTOM_SETTINGS]);
       const settings = {
         openaiKey: s.openaiKey || '',
         claudeKey: s.claudeKey || '',
         geminiKey: s.geminiKey || '',
         googleKey: s.googleKey || '',
-        model: s.ocrModel || '', // Use the specific model for OCR
+        customBaseUrl: s.customBaseUrl || '',
+        customKey: s.customKey || '',
+        customHeaders: s.customHeaders || '',
+        requestId: msg.requestId || null, // lets local OCR report progress for this request
+        bypassCache: !!msg.bypassCache,
+        signal,
       };
-      const { text, debug } = await performOcrDebug(msg.provider, msg.dataUrl, settings);
-      return { ok: true, text, debug: redactBase64InPlace(debug), requestId: msg.requestId || null };
-    })(), sendResponse);
+      const chain = buildChain(msg.provider, s.ocrFallbacks);
+      const { value, failures } = await runProviderChain(chain, (provider, i) => performOcrDebug(provider, msg.dataUrl, {
+        ...settings,
+        // The configured model belongs to the primary provider; fallbacks use their defaults
+        model: i === 0 ? s.ocrModel || '' : OCR_DEFAULT_MODELS[provider] || '',
+      }));
+      const debug = { ...value.debug, fallbacks: failures };
+      return { ok: true, text: value.text, debug: redactBase64InPlace(debug), requestId: msg.requestId || null };
+    }), sendResponse);
   }
 
-  // Centralized Parse for modal — with debug
+  // Centralized Parse for modal — with debug, through the parse fallback chain
   if (msg?.type === 'EC_RUN_PARSE') {
-    return handle((async () => {
-      const s = await chrome.storage.sync.get(['openaiKey', 'claudeKey', 'geminiKey', 'parseModel']);
+    return handle(withAbort(msg.requestId, async (signal) => {
+      const s = await chrome.storage.sync.get(['openaiKey', 'claudeKey', 'geminiKey', 'parseModel', 'parseFallbacks', ...CUSTOM_SETTINGS]);
       const settings = {
         openaiKey: s.openaiKey || '',
         claudeKey: s.claudeKey || '',
         geminiKey: s.geminiKey || '',
-        model: s.parseModel || '', // Use the specific model for Parse
+        customBaseUrl: s.customBaseUrl || '',
+        customKey: s.customKey || '',
+        customHeaders: s.customHeaders || '',
+        signal,
       };
-      const { result, debug } = await performLlmParseDebug(msg.provider, msg.text || '', settings);
-      return { ok: true, result, debug: truncatePromptInPlace(debug), requestId: msg.requestId || null };
+      const chain = buildChain(msg.provider, s.parseFallbacks);
+      const { value, failures } = await runProviderChain(chain, (provider, i) => performLlmParseDebug(provider, msg.text || '', {
+        ...settings,
+        model: i === 0 ? s.parseModel || '' : PARSE_DEFAULT_MODELS[provider] || '',
+      }));
+      const debug = { ...value.debug, fallbacks: failures };
+      return { ok: true, result: value.result, debug: truncatePromptInPlace(debug), requestId: msg.requestId || null };
+    }), sendResponse);
+  }
+
+  // Direct vision parse for modal: one call returns the transcript and the events. No fallback
+  // chain here; on failure the modal falls back to the separate OCR + parse steps.
+  if (msg?.type === 'EC_RUN_VISION_PARSE') {
+    return handle(withAbort(msg.requestId, async (signal) => {
+      const s = await chrome.storage.sync.get(['openaiKey', 'claudeKey', 'geminiKey', 'ocrModel', ...CUSTOM_SETTINGS]);
+      const settings = {
+        openaiKey: s.openaiKey || '',
+        claudeKey: s.claudeKey || '',
+        geminiKey: s.geminiKey || '',
+        customBaseUrl: s.customBaseUrl || '',
+        customKey: s.customKey || '',
+        customHeaders: s.customHeaders || '',
+        model: s.ocrModel || '',
+        signal,
+      };
+      const { text, result, debug } = await performVisionParseDebug(msg.provider, msg.dataUrl, settings);
+      return { ok: true, text, result, debug: redactBase64InPlace(truncatePromptInPlace(debug)), requestId: msg.requestId || null };
+    }), sendResponse);
+  }
+
+  // Options page: models offered by a custom OpenAI-compatible endpoint (also checks it is reachable)
+  if (msg?.type === 'EC_LIST_CUSTOM_MODELS') {
+    return handle(listCustomModels(msg.settings || {}).then(
+      (models) => ({ ok: true, models }),
+      // Reachable but without a model list (Azure deployments): usable, nothing to pick
+      (e) => { if (e.status === 404) return { ok: true, models: [], unlisted: true }; throw e; }
+    ), sendResponse);
+  }
+
+  // Cancel button in the modal: abort the provider call (and any retry wait) for that request
+  if (msg?.type === 'EC_CANCEL_REQUEST') {
+    const controller = inflight.get(msg.requestId);
+    controller?.abort();
+    sendResponse({ ok: true, cancelled: !!controller });
+    return false;
+  }
+
+  // Google Calendar: sign-in state (options page + modal)
+  if (msg?.type === 'EC_GCAL_STATUS') {
+    return handle((async () => {
+      const { gcalClientId } = await chrome.storage.sync.get(['gcalClientId']);
+      return { ok: true, configured: !!gcalClientId, signedIn: await isSignedIn() };
+    })(), sendResponse);
+  }
+
+  if (msg?.type === 'EC_GCAL_SIGN_IN') {
+    return handle((async () => {
+      const { gcalClientId } = await chrome.storage.sync.get(['gcalClientId']);
+      await getAccessToken({ clientId: gcalClientId || '', interactive: true });
+      return { ok: true, signedIn: true };
+    })(), sendResponse);
+  }
+
+  if (msg?.type === 'EC_GCAL_SIGN_OUT') {
+    return handle((async () => {
+      await signOutGoogle();
+      return { ok: true, signedIn: false };
+    })(), sendResponse);
+  }
+
+  // Google Calendar: writable calendars for the picker
+  if (msg?.type === 'EC_GCAL_LIST_CALENDARS') {
+    return handle((async () => {
+      const client = await getCalendarClient({ interactive: !!msg.interactive });
+      const calendars = await client.listCalendars();
+      return { ok: true, calendars };
+    })(), sendResponse);
+  }
+
+  // Google Calendar: events.insert for one modal event
+  if (msg?.type === 'EC_GCAL_INSERT') {
+    return handle((async () => {
+      const client = await getCalendarClient({ interactive: true });
+      const resource = toCalendarResource(msg.event, {
+        timeZone: msg.timeZone,
+        description: msg.description,
+        colorId: msg.colorId,
+        reminders: msg.reminders,
+      });
+      const { event, debug } = await client.insertEvent(msg.calendarId, resource);
+      // Remember the last picks so the next capture starts from them
+      await chrome.storage.sync.set({ gcalCalendarId: msg.calendarId || 'primary', gcalColorId: msg.colorId || '' });
+      return { ok: true, id: event.id, htmlLink: event.htmlLink, debug };
     })(), sendResponse);
   }
 
@@ -349,7 +656,13 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 
   // NEW: Create popup window with image data
   if (msg?.type === 't2c.createPopup') {
-    return handle(createPopupWindow(msg.imageDataUrl), sendResponse);
+    const source = sender?.tab ? { url: sender.tab.url || '', title: sender.tab.title || '' } : null;
+    return handle(createPopupWindow(msg.imageDataUrl, { source, domText: msg.domText || null }), sendResponse);
+  }
+
+  // History page: re-open a saved capture in the popup
+  if (msg?.type === 'EC_HISTORY_OPEN') {
+    return handle(createPopupWindow(null, { historyId: msg.id }), sendResponse);
   }
 
   // NEW: Popup is ready, now send it the image data
@@ -363,6 +676,23 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       if (!tabId) {
         throw new Error('Could not find tab ID for the popup window.');
       }
+      if (pendingHistoryId) {
+        await chrome.tabs.sendMessage(tabId, { type: 'POPUP_OPEN_HISTORY', historyId: pendingHistoryId });
+        pendingHistoryId = null;
+        return;
+      }
+      if (pendingEvents) {
+        await chrome.tabs.sendMessage(tabId, { type: 'POPUP_PROCESS_EVENTS', events: pendingEvents, source: captureSource });
+        pendingEvents = null;
+        captureSource = null;
+        return;
+      }
+      if (pendingText) {
+        await chrome.tabs.sendMessage(tabId, { type: 'POPUP_PROCESS_TEXT', text: pendingText, source: captureSource });
+        pendingText = null;
+        captureSource = null;
+        return;
+      }
       if (!capturedImageDataUrl) {
         throw new Error('Popup is ready, but there is no captured image data to send.');
       }
@@ -370,9 +700,13 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
       console.log(`[T2C] Popup is ready. Sending image data to tab ${tabId}.`);
       await chrome.tabs.sendMessage(tabId, {
         type: 'POPUP_PROCESS_IMAGE',
-        imageDataUrl: capturedImageDataUrl
+        imageDataUrl: capturedImageDataUrl,
+        source: captureSource,
+        domText: pendingDomText
       });
       capturedImageDataUrl = null; // Clear data after sending
+      captureSource = null;
+      pendingDomText = null;
     })(), sendResponse);
   }
 
@@ -0,0 +1,40 @@
+// calendar_links.js – import the .ics / webcal: files a page links to ("Add to calendar" buttons).
+// Runs in the service worker; host permissions let it fetch the files cross-origin.
+
+import { parseIcs } from './ics.js';
+
+const MAX_BYTES = 5 * 1024 * 1024;
+const MAX_EVENTS = 50; // subscription feeds can hold years of events; keep the next ones
+
+// webcal:// is plain HTTP with a hint to subscribe; calendar hosts serve the same file over https
+export function calendarFetchUrl(url) {
+  return String(url).replace(/^webcals?:\/\//i, 'https://');
+}
+
+function isCurrent(ev, today) {
+  const last = (ev.end || ev.start).slice(0, 10);
+  if (last >= today) return true;
+  const r = ev.recurrence;
+  return !!r && !r.count && (!r.until || r.until >= today);
+}
+
+// url → { name, events } in the parsers' shape, with `url` defaulting to the link itself
+export async function fetchCalendarLink(url, { now = new Date() } = {}) {
+  const resp = await fetch(calendarFetchUrl(url), { credentials: 'include' });
+  if (!resp.ok) throw new Error(`Calendar request failed (${resp.status})`);
+  const length = parseInt(resp.headers.get('content-length') || '0', 10);
+  if (length > MAX_BYTES) throw new Error('Calendar file is too large');
+  const text = await resp.text();
+  if (text.length > MAX_BYTES) throw new Error('Calendar file is too large');
+
+  const { name, events } = parseIcs(text);
+  const z2 = (n) => String(n).padStart(2, '0');
+  const today = `${now.getFullYear()}-${z2(now.getMonth() + 1)}-${z2(now.getDate())}`;
+  // Past one-off events only matter when that is all the file has (a single old invite)
+  const current = events.filter((ev) => isCurrent(ev, today));
+  const kept = (current.length ? current : events)
+    .sort((a, b) => a.start.localeCompare(b.start))
+    .slice(0, MAX_EVENTS)
+    .map((ev) => ({ ...ev, url: ev.url || url }));
+  return { name, events: kept, total: events.length };
+}
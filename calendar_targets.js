@@ -0,0 +1,115 @@
+// calendar_targets.js – "add event" deep links for web calendars
+// Each target turns a form-shaped modal event
+//   { title, startDate: 'YYYY-MM-DD', startTime: 'HH:MM', endDate, endTime, allDay, location, recurrence, timeZone }
+// into a compose URL. Wall-clock times are read in the event's timeZone (browser zone if unset). Callers check the event is complete (see isExportable in ics.js) first.
+
+import { buildRRule } from './recurrence.js';
+import { localTimeZone, zonedTimeToUtc } from './timezones.js';
+
+const z2 = (n) => String(n).padStart(2, '0');
+
+function addDays(ymd, days) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return `${dt.getUTCFullYear()}-${z2(dt.getUTCMonth() + 1)}-${z2(dt.getUTCDate())}`;
+}
+
+// Start/end as Date instants in the event's zone; a missing end time falls back to the start
+function instants(ev) {
+  const timeZone = ev.timeZone || localTimeZone();
+  return {
+    start: zonedTimeToUtc(ev.startDate, ev.startTime, timeZone),
+    end: zonedTimeToUtc(ev.endDate || ev.startDate, ev.endTime || ev.startTime, timeZone),
+  };
+}
+
+// 2026-11-03T14:30:00Z
+const isoUtc = (d) => d.toISOString().replace(/\.\d{3}Z$/, 'Z');
+// 20261103T143000Z
+const compactUtc = (d) => isoUtc(d).replace(/[-:]/g, '');
+
+function query(params) {
+  return Object.entries(params)
+    .filter(([, v]) => v !== undefined && v !== null && v !== '')
+    .map(([k, v]) => `${k}=${encodeURIComponent(v)}`)
+    .join('&');
+}
+
+function googleUrl(ev, { details }) {
+  let dates;
+  if (ev.allDay) {
+    // End date is exclusive for all-day events
+    dates = `${ev.startDate.replace(/-/g, '')}/${addDays(ev.endDate || ev.startDate, 1).replace(/-/g, '')}`;
+  } else {
+    // Local times plus ctz, so Google places them in the event's zone rather than the viewer's
+    const sD = ev.startDate;
+    const eD = ev.endDate || sD;
+    const eT = ev.endTime || ev.startTime;
+    dates = `${sD.replace(/-/g, '')}T${ev.startTime.replace(':', '')}00/${eD.replace(/-/g, '')}T${eT.replace(':', '')}00`;
+  }
+  const rrule = buildRRule(ev.recurrence, { allDay: ev.allDay, timeZone: ev.timeZone });
+  // `dates` stays unencoded: the slash separating start/end is part of the format
+  return 'https://calendar.google.com/calendar/render?action=TEMPLATE&' + query({
+    text: ev.title || 'New Event',
+    location: ev.location || '',
+    details,
+    ctz: ev.allDay ? '' : ev.timeZone || localTimeZone(),
+  }) + `&dates=${dates}` + (rrule ? `&recur=${encodeURIComponent(rrule)}` : '');
+}
+
+// outlook.live.com and outlook.office.com share the same compose deep link
+function outlookUrl(host) {
+  return (ev, { details }) => {
+    let startdt;
+    let enddt;
+    if (ev.allDay) {
+      startdt = ev.startDate;
+      enddt = addDays(ev.endDate || ev.startDate, 1);
+    } else {
+      const { start, end } = instants(ev);
+      startdt = isoUtc(start);
+      enddt = isoUtc(end);
+    }
+    return `https://${host}/calendar/0/deeplink/compose?` + query({
+      path: '/calendar/action/compose',
+      rru: 'addevent',
+      subject: ev.title || 'New Event',
+      startdt,
+      enddt,
+      allday: ev.allDay ? 'true' : 'false',
+      location: ev.location || '',
+      body: details,
+    });
+  };
+}
+
+function yahooUrl(ev, { details }) {
+  const params = { v: 60, title: ev.title || 'New Event', desc: details, in_loc: ev.location || '' };
+  if (ev.allDay) {
+    params.st = ev.startDate.replace(/-/g, '');
+    params.et = (ev.endDate || ev.startDate).replace(/-/g, '');
+    params.dur = 'allday';
+  } else {
+    const { start, end } = instants(ev);
+    params.st = compactUtc(start);
+    params.et = compactUtc(end);
+  }
+  return 'https://calendar.yahoo.com/?' + query(params);
+}
+
+export const CALENDAR_TARGETS = {
+  google: { label: 'Google Calendar', buildUrl: googleUrl, supportsRecurrence: true },
+  outlook: { label: 'Outlook.com', buildUrl: outlookUrl('outlook.live.com'), supportsRecurrence: false },
+  office365: { label: 'Office 365', buildUrl: outlookUrl('outlook.office.com'), supportsRecurrence: false },
+  yahoo: { label: 'Yahoo Calendar', buildUrl: yahooUrl, supportsRecurrence: false },
+};
+
+export const DEFAULT_TARGET = 'google';
+
+export function getTarget(id) {
+  return CALENDAR_TARGETS[id] || CALENDAR_TARGETS[DEFAULT_TARGET];
+}
+
+export function buildTargetUrl(id, ev, { details = '' } = {}) {
+  return getTarget(id).buildUrl(ev, { details });
+}
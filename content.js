@@ -3,11 +3,18 @@
 (() => {
   const NS = "t2c-cap";
   let overlay, guide, box, start, onMove, onUp;
+  let panel, markers = [], regions = [], busy = false;
+  let readout, handles = [];
+  // The selection being drawn or adjusted, in page coordinates: { x, pageY, w, h, pending }.
+  // `pending` once the drag is released: handles, moving and nudging until Enter confirms it.
+  let sel = null, editing = null;
   let guideFollowMode = false;
   let currentMousePos = { x: 0, y: 0 };
 
   // --- small utilities -------------------------------------------------------
   const dpr = () => (window.devicePixelRatio || 1);
+  const MIN_SIZE = 10;
+  const HANDLE_DIRS = ["nw", "n", "ne", "e", "se", "s", "sw", "w"];
 
   function ensureOverlay() {
     if (overlay) return;
@@ -37,9 +44,51 @@
       borderRadius: "4px"
     });
 
+    // resize handles, shown once the selection has been drawn
+    handles = HANDLE_DIRS.map((dir) => {
+      const h = document.createElement("div");
+      h.dataset.dir = dir;
+      Object.assign(h.style, {
+        position: "absolute",
+        left: dir.includes("w") ? "0" : dir.includes("e") ? "100%" : "50%",
+        top: dir.includes("n") ? "0" : dir.includes("s") ? "100%" : "50%",
+        transform: "translate(-50%, -50%)",
+        width: "12px",
+        height: "12px",
+        boxSizing: "border-box",
+        background: "#fff",
+        border: "2px solid #3b82f6",
+        borderRadius: "3px",
+        cursor: `${dir}-resize`,
+        display: "none"
+      });
+      box.appendChild(h);
+      return h;
+    });
+    box.addEventListener("mousedown", onEditStart);
+    box.addEventListener("dblclick", (ev) => {
+      ev.stopPropagation();
+      if (sel?.pending && !busy) confirmSelection();
+    });
+
+    // live size of the selection
+    readout = document.createElement("div");
+    Object.assign(readout.style, {
+      position: "fixed",
+      background: "#1f2937",
+      color: "#f3f4f6",
+      padding: "3px 8px",
+      borderRadius: "6px",
+      font: "12px/1.4 'Google Sans','Roboto',-apple-system,BlinkMacSystemFont,sans-serif",
+      pointerEvents: "none",
+      whiteSpace: "nowrap",
+      zIndex: "2147483647"
+    });
+    readout.hidden = true;
+
     // helper bubble - starts large and center-right
     guide = document.createElement("div");
-    guide.textContent = "Drag to capture • Esc to cancel";
+    guide.textContent = "Drag to select, then Enter to capture • Drag to the edge to scroll • Shift-drag to add regions • Esc to cancel";
     Object.assign(guide.style, {
       position: "fixed",
       right: "20%",
@@ -57,6 +106,7 @@
     });
 
     overlay.appendChild(box);
+    overlay.appendChild(readout);
     overlay.appendChild(guide);
 
     // After 1 second, switch to cursor-following mode
@@ -89,25 +139,538 @@
     overlay = null;
     box = null;
     guide = null;
+    panel = null;
+    readout = null;
+    handles = [];
+    markers = [];
+    regions = [];
+    sel = null;
+    busy = false;
     guideFollowMode = false;
-    document.removeEventListener("keydown", onEsc, true);
+    onEditEnd();
+    document.removeEventListener("keydown", onKey, true);
+    window.removeEventListener("scroll", onScroll, true);
   }
 
-  function onEsc(e) {
+  function onScroll() {
+    positionMarkers();
+    renderSelection();
+  }
+
+  const ARROWS = { ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1] };
+
+  function onKey(e) {
     if (e.key === "Escape") {
       e.stopPropagation();
       e.preventDefault();
       removeOverlay();
+    } else if (e.key === "Enter" && (sel?.pending || regions.length) && !busy) {
+      e.stopPropagation();
+      e.preventDefault();
+      // Shift+Enter keeps the selection as a region and carries on
+      if (sel?.pending) confirmSelection({ asRegion: e.shiftKey });
+      else finishRegions();
+    } else if (ARROWS[e.key] && sel?.pending && !busy) {
+      // Arrows move the selection (Shift: 10px); with Alt they resize it from the bottom-right
+      e.stopPropagation();
+      e.preventDefault();
+      const step = e.shiftKey ? 10 : 1;
+      const [dx, dy] = ARROWS[e.key].map((d) => d * step);
+      if (e.altKey) setSelection(sel.x, sel.pageY, sel.w + dx, sel.h + dy);
+      else setSelection(sel.x + dx, sel.pageY + dy, sel.w, sel.h);
+    } else if ((e.key === "Backspace" || e.key === "Delete") && regions.length && !busy) {
+      e.stopPropagation();
+      e.preventDefault();
+      removeRegion(regions.length - 1);
+    }
+  }
+
+  // --- page text under the selection ---------------------------------------------
+  // Real DOM text is free and exact, so it is sent along with the crop and the modal skips OCR.
+  // Pictures of text (images, canvas, video, embedded frames we cannot read) still need OCR:
+  // when they cover much of the selection, or too little text is found, this returns null.
+  const MIN_DOM_TEXT = 20; // characters
+  const MAX_MEDIA_SHARE = 0.25; // of the selection area
+  const MEDIA_SELECTOR = "img, canvas, svg, video, iframe, embed, object";
+  const SKIP_TEXT_PARENTS = new Set(["SCRIPT", "STYLE", "NOSCRIPT", "TEMPLATE", "TEXTAREA", "OPTION"]);
+
+  // Fraction of `r` covered by `el`'s box (client coordinates)
+  function overlapShare(el, r) {
+    const b = el.getBoundingClientRect();
+    const w = Math.min(b.right, r.right) - Math.max(b.left, r.left);
+    const h = Math.min(b.bottom, r.bottom) - Math.max(b.top, r.top);
+    return w > 0 && h > 0 ? (w * h) / (r.width * r.height) : 0;
+  }
+
+  const centerInside = (b, r) => {
+    const cx = b.left + b.width / 2;
+    const cy = b.top + b.height / 2;
+    return cx >= r.left && cx <= r.right && cy >= r.top && cy <= r.bottom;
+  };
+
+  function isVisibleText(el) {
+    if (el.checkVisibility) return el.checkVisibility({ opacityProperty: true, visibilityProperty: true });
+    const cs = getComputedStyle(el);
+    return cs.visibility !== "hidden" && cs.display !== "none" && cs.opacity !== "0";
+  }
+
+  // { text, top, left, height } pieces of one text node that sit inside `r`. Nodes that straddle
+  // the edge are split into words so only the part inside is kept.
+  function textPieces(node, r) {
+    const range = document.createRange();
+    range.selectNodeContents(node);
+    const lines = [...range.getClientRects()].filter((b) => b.width && b.height);
+    if (!lines.length) return [];
+    const inside = lines.filter((b) => centerInside(b, r));
+    if (!inside.length) return [];
+    if (inside.length === lines.length && lines.length === 1) {
+      const b = lines[0];
+      return [{ text: node.data, top: b.top, left: b.left, height: b.height }];
+    }
+    const pieces = [];
+    const re = /\S+/g;
+    let m;
+    while ((m = re.exec(node.data))) {
+      range.setStart(node, m.index);
+      range.setEnd(node, m.index + m[0].length);
+      const b = range.getBoundingClientRect();
+      if (b.width && centerInside(b, r)) pieces.push({ text: m[0], top: b.top, left: b.left, height: b.height });
+    }
+    return pieces;
+  }
+
+  // Pieces → lines by vertical position, each line left to right
+  function readingOrder(pieces) {
+    pieces.sort((a, b) => a.top - b.top || a.left - b.left);
+    const lines = [];
+    for (const p of pieces) {
+      const line = lines[lines.length - 1];
+      if (line && p.top < line.top + line.height * 0.6) {
+        line.items.push(p);
+      } else {
+        lines.push({ top: p.top, height: p.height, items: [p] });
+      }
+    }
+    return lines
+      .map((l) => l.items.sort((a, b) => a.left - b.left).map((p) => p.text.replace(/\s+/g, " ").trim()).join(" ").trim())
+      .filter(Boolean)
+      .join("\n");
+  }
+
+  function extractDomText(rect) {
+    const top = rect.pageY - window.scrollY;
+    const r = { left: rect.x, top, right: rect.x + rect.w, bottom: top + rect.h, width: rect.w, height: rect.h };
+
+    let media = 0;
+    for (const el of document.querySelectorAll(MEDIA_SELECTOR)) {
+      if (overlay?.contains(el) || el.parentElement?.closest("svg")) continue;
+      media += overlapShare(el, r);
+      if (media > MAX_MEDIA_SHARE) return null;
+    }
+
+    const pieces = [];
+    const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT, {
+      acceptNode(node) {
+        const parent = node.parentElement;
+        if (!parent || !node.data.trim() || SKIP_TEXT_PARENTS.has(parent.tagName)) return NodeFilter.FILTER_REJECT;
+        if (overlay?.contains(parent)) return NodeFilter.FILTER_REJECT;
+        return NodeFilter.FILTER_ACCEPT;
+      }
+    });
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      // Cheap box test before measuring lines and words
+      const b = node.parentElement.getBoundingClientRect();
+      if (b.right < r.left || b.left > r.right || b.bottom < r.top || b.top > r.bottom) continue;
+      if (!isVisibleText(node.parentElement)) continue;
+      pieces.push(...textPieces(node, r));
+    }
+    const text = readingOrder(pieces);
+    return text.replace(/\s/g, "").length >= MIN_DOM_TEXT ? text : null;
+  }
+
+  // --- adjustable selection ---------------------------------------------------
+  function setSelection(x, pageY, w, h) {
+    w = Math.max(MIN_SIZE, Math.min(w, window.innerWidth));
+    h = Math.max(MIN_SIZE, h);
+    x = Math.max(0, Math.min(x, window.innerWidth - w));
+    pageY = Math.max(0, pageY);
+    sel = { x, pageY, w, h, pending: true };
+    renderSelection();
+  }
+
+  function renderSelection() {
+    if (!box) return;
+    const pending = !!sel?.pending;
+    const r = sel || { x: 0, pageY: window.scrollY, w: 0, h: 0 };
+    const top = r.pageY - window.scrollY;
+    Object.assign(box.style, {
+      left: r.x + "px",
+      top: top + "px",
+      width: r.w + "px",
+      height: r.h + "px",
+      pointerEvents: pending ? "auto" : "none",
+      cursor: pending ? "move" : ""
+    });
+    handles.forEach((h) => { h.style.display = pending ? "block" : "none"; });
+
+    readout.hidden = !sel;
+    if (!sel) return;
+    readout.textContent = `${Math.round(r.w)} × ${Math.round(r.h)} px${pending ? " • Enter to capture" : ""}`;
+    // Below the box, or inside its bottom edge when that is off screen
+    const below = top + r.h + 8;
+    Object.assign(readout.style, {
+      left: Math.max(4, r.x) + "px",
+      top: Math.min(below, window.innerHeight - 28) + "px"
+    });
+  }
+
+  // Drag inside the box moves it; drag on a handle resizes from that edge/corner
+  function onEditStart(ev) {
+    if (ev.button !== 0 || !sel?.pending || busy) return;
+    ev.stopPropagation();
+    ev.preventDefault();
+    editing = { dir: ev.target.dataset?.dir || "move", x: ev.clientX, pageY: ev.clientY + window.scrollY, from: { ...sel } };
+    document.addEventListener("mousemove", onEditMove, true);
+    document.addEventListener("mouseup", onEditEnd, true);
+  }
+
+  function onEditMove(ev) {
+    if (!editing) return;
+    const { dir, from } = editing;
+    const dx = ev.clientX - editing.x;
+    const dy = ev.clientY + window.scrollY - editing.pageY;
+    if (dir === "move") {
+      setSelection(from.x + dx, from.pageY + dy, from.w, from.h);
+      return;
+    }
+    let left = from.x, right = from.x + from.w, top = from.pageY, bottom = from.pageY + from.h;
+    if (dir.includes("w")) left += dx;
+    if (dir.includes("e")) right += dx;
+    if (dir.includes("n")) top += dy;
+    if (dir.includes("s")) bottom += dy;
+    setSelection(Math.min(left, right), Math.min(top, bottom), Math.abs(right - left), Math.abs(bottom - top));
+  }
+
+  function onEditEnd() {
+    editing = null;
+    document.removeEventListener("mousemove", onEditMove, true);
+    document.removeEventListener("mouseup", onEditEnd, true);
+  }
+
+  // Capture the adjusted selection: on its own (plus any regions), or as one more region
+  async function confirmSelection({ asRegion = false } = {}) {
+    const rect = { x: sel.x, y: sel.pageY - window.scrollY, pageY: sel.pageY, w: sel.w, h: sel.h, dpr: dpr() };
+    sel = null;
+    renderSelection();
+    busy = true;
+    let crop;
+    try {
+      let text = null;
+      try {
+        text = extractDomText(rect);
+      } catch (err) {
+        console.warn("[T2C] Could not read page text, using OCR:", err);
+      }
+      crop = { dataUrl: await captureRect(rect), text };
+    } catch (err) {
+      removeOverlay();
+      console.error("[T2C] Capture error:", err);
+      alert("Capture Error: " + (err?.message || err));
+      return;
+    }
+    busy = false;
+    if (!overlay) return; // cancelled while the screenshot was taken
+    if (asRegion) addRegion(rect, crop);
+    else await finishRegions(crop);
+  }
+
+  // --- multiple regions --------------------------------------------------------
+  // Shift-drag adds a region and keeps the overlay up; each region is cropped as soon as it is
+  // drawn, so the page can be scrolled between regions. The crops are stacked top to bottom in
+  // the order they were drawn and OCR'd as one image, which gives one text in that order.
+  const REGION_GAP = 24; // px of white between stacked crops, read as a paragraph break
+
+  function positionMarkers() {
+    markers.forEach((m, i) => {
+      const r = regions[i];
+      Object.assign(m.style, {
+        left: (r.pageX - window.scrollX) + "px",
+        top: (r.pageY - window.scrollY) + "px"
+      });
+    });
+  }
+
+  function renderRegions() {
+    markers.forEach((m) => m.remove());
+    markers = regions.map((r, i) => {
+      const m = document.createElement("div");
+      Object.assign(m.style, {
+        position: "fixed",
+        width: r.w + "px",
+        height: r.h + "px",
+        border: "2px solid #16a34a",
+        background: "rgba(22, 163, 74, 0.08)",
+        borderRadius: "4px",
+        pointerEvents: "none",
+        font: "600 12px/1 'Google Sans','Roboto',-apple-system,BlinkMacSystemFont,sans-serif",
+        color: "#fff"
+      });
+      const badge = document.createElement("span");
+      badge.textContent = String(i + 1);
+      Object.assign(badge.style, { position: "absolute", left: "-2px", top: "-20px", background: "#16a34a", padding: "3px 6px", borderRadius: "4px" });
+      m.appendChild(badge);
+      overlay.insertBefore(m, box);
+      return m;
+    });
+    positionMarkers();
+
+    if (!panel) {
+      panel = document.createElement("div");
+      Object.assign(panel.style, {
+        position: "fixed",
+        left: "16px",
+        top: "16px",
+        width: "240px",
+        maxHeight: "70vh",
+        overflowY: "auto",
+        background: "#1f2937",
+        color: "#f3f4f6",
+        padding: "10px",
+        borderRadius: "12px",
+        font: "13px/1.4 'Google Sans','Roboto',-apple-system,BlinkMacSystemFont,sans-serif",
+        boxShadow: "0 8px 32px rgba(0,0,0,.4)",
+        zIndex: "2147483647",
+        cursor: "default"
+      });
+      // Clicks in the panel must not start a new selection
+      panel.addEventListener("mousedown", (ev) => ev.stopPropagation());
+      overlay.appendChild(panel);
+    }
+    panel.hidden = !regions.length;
+    panel.replaceChildren();
+
+    const title = document.createElement("div");
+    title.textContent = `Regions (${regions.length}) — captured in this order`;
+    title.style.fontWeight = "600";
+    panel.appendChild(title);
+
+    regions.forEach((r, i) => {
+      const row = document.createElement("div");
+      Object.assign(row.style, { display: "flex", alignItems: "center", gap: "8px", marginTop: "8px" });
+      const thumb = document.createElement("img");
+      thumb.src = r.dataUrl;
+      Object.assign(thumb.style, { width: "72px", height: "40px", objectFit: "contain", background: "#fff", borderRadius: "4px" });
+      const label = document.createElement("span");
+      label.textContent = `${i + 1}. ${Math.round(r.w)}×${Math.round(r.h)}`;
+      label.style.flex = "1";
+      const remove = document.createElement("button");
+      remove.textContent = "×";
+      remove.title = "Remove region";
+      Object.assign(remove.style, { border: "none", background: "transparent", color: "inherit", fontSize: "16px", cursor: "pointer" });
+      remove.addEventListener("click", () => removeRegion(i));
+      row.append(thumb, label, remove);
+      panel.appendChild(row);
+    });
+
+    const actions = document.createElement("div");
+    Object.assign(actions.style, { display: "flex", gap: "8px", marginTop: "10px" });
+    const captureBtn = document.createElement("button");
+    captureBtn.textContent = "Capture (Enter)";
+    captureBtn.addEventListener("click", () => {
+      if (busy) return;
+      if (sel?.pending) confirmSelection();
+      else finishRegions();
+    });
+    const cancelBtn = document.createElement("button");
+    cancelBtn.textContent = "Cancel (Esc)";
+    cancelBtn.addEventListener("click", () => removeOverlay());
+    for (const b of [captureBtn, cancelBtn]) {
+      Object.assign(b.style, { flex: "1", padding: "6px 8px", borderRadius: "8px", border: "1px solid #4b5563", background: b === captureBtn ? "#3b82f6" : "transparent", color: "#fff", cursor: "pointer", font: "inherit" });
     }
+    actions.append(captureBtn, cancelBtn);
+    panel.appendChild(actions);
+
+    const note = document.createElement("div");
+    note.textContent = "Shift-drag or Shift+Enter adds a region • Enter captures • Backspace removes the last";
+    Object.assign(note.style, { marginTop: "8px", fontSize: "11px", opacity: "0.75" });
+    panel.appendChild(note);
+  }
+
+  function addRegion(rect, crop) {
+    regions.push({ pageX: rect.x + window.scrollX, pageY: rect.pageY, w: rect.w, h: rect.h, dataUrl: crop.dataUrl, text: crop.text });
+    renderRegions();
+  }
+
+  function removeRegion(index) {
+    regions.splice(index, 1);
+    renderRegions();
+  }
+
+  async function finishRegions(lastCrop) {
+    const crops = regions.map((r) => ({ dataUrl: r.dataUrl, text: r.text }));
+    if (lastCrop) crops.push(lastCrop);
+    if (!crops.length) return;
+    removeOverlay();
+    // Page text only stands in for OCR when every region had some
+    const domText = crops.every((c) => c.text) ? crops.map((c) => c.text).join("\n\n") : null;
+    try {
+      const image = crops.length > 1 ? await stitchCrops(crops.map((c) => c.dataUrl)) : crops[0].dataUrl;
+      await createPopupWithImage(image, domText);
+    } catch (err) {
+      console.error("[T2C] Capture error:", err);
+      alert("Capture Error: " + (err?.message || err));
+    }
+  }
+
+  function loadImage(src) {
+    return new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = reject;
+      image.src = src;
+    });
+  }
+
+  async function stitchCrops(dataUrls) {
+    const images = await Promise.all(dataUrls.map(loadImage));
+    const gap = Math.round(REGION_GAP * dpr());
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(...images.map((img) => img.naturalWidth));
+    canvas.height = images.reduce((sum, img) => sum + img.naturalHeight, 0) + gap * (images.length - 1);
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    let y = 0;
+    for (const img of images) {
+      ctx.drawImage(img, 0, y);
+      y += img.naturalHeight + gap;
+    }
+    return canvas.toDataURL("image/png");
+  }
+
+  // Screenshot with the overlay hidden, so the selection box and markers stay out of the crop.
+  // Selections that no longer fit the viewport are captured by scrolling through them.
+  async function captureRect(rect) {
+    overlay.style.visibility = "hidden";
+    await nextPaint();
+    try {
+      const top = rect.pageY - window.scrollY;
+      if (top >= 0 && top + rect.h <= window.innerHeight) {
+        return await screenshotAndCrop({ ...rect, y: top });
+      }
+      return await scrollAndStitch(rect);
+    } finally {
+      if (overlay) overlay.style.visibility = "";
+    }
+  }
+
+  // --- scrolling capture ---------------------------------------------------------
+  // captureVisibleTab only sees the viewport. Dragging into the top/bottom edge scrolls the page
+  // (the selection is kept in page coordinates); on release a tall selection is captured one
+  // screen at a time and the pieces are stacked into one image.
+  const EDGE = 40; // px from the viewport edge where dragging starts to scroll
+  const MAX_SCROLL_STEP = 30; // px per frame at the very edge
+  const SHOT_INTERVAL = 600; // ms; captureVisibleTab allows two calls a second
+  const MAX_STITCH_HEIGHT = 16000; // device px; taller captures are scaled down to fit a canvas
+
+  const nextPaint = () => new Promise((r) => requestAnimationFrame(() => requestAnimationFrame(r)));
+  const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+  function scrollToY(y) {
+    window.scrollTo({ left: window.scrollX, top: y, behavior: "instant" });
+  }
+
+  // Height covered by fixed/sticky bars at the top and bottom of the viewport. These repeat on
+  // every screen, so only the band between them is used once the page has been scrolled.
+  // Sampled with elementsFromPoint along both edges instead of walking the whole DOM.
+  function stickyInsets() {
+    const vh = window.innerHeight;
+    const insets = { top: 0, bottom: 0 };
+    const seen = new Set();
+    for (const y of [1, vh - 2]) {
+      for (const fx of [0.1, 0.5, 0.9]) {
+        for (let el of document.elementsFromPoint(window.innerWidth * fx, y)) {
+          for (; el && el !== document.body && el !== document.documentElement; el = el.parentElement) {
+            if (seen.has(el)) break;
+            seen.add(el);
+            const pos = getComputedStyle(el).position;
+            if (pos !== "fixed" && pos !== "sticky") continue;
+            const r = el.getBoundingClientRect();
+            if (r.height > vh * 0.4) continue; // a full-height layer is content, not a bar
+            if (r.top <= 1 && r.bottom > 0) insets.top = Math.max(insets.top, r.bottom);
+            if (r.bottom >= vh - 2 && r.top < vh) insets.bottom = Math.max(insets.bottom, vh - r.top);
+          }
+        }
+      }
+    }
+    return insets;
+  }
+
+  async function scrollAndStitch(rect) {
+    const originalY = window.scrollY;
+    const ratio = rect.dpr;
+    const scale = Math.min(1, MAX_STITCH_HEIGHT / (rect.h * ratio));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.floor(rect.w * ratio * scale));
+    canvas.height = Math.max(1, Math.floor(rect.h * ratio * scale));
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#fff";
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    let done = 0; // CSS px of the selection already drawn
+    let lastShot = 0;
+    try {
+      while (done < rect.h) {
+        const wanted = rect.pageY + done;
+        let insets = stickyInsets();
+        scrollToY(wanted - insets.top);
+        await nextPaint();
+        // A header that only turns sticky (or grows) after scrolling: measure again and adjust
+        const after = stickyInsets();
+        if (after.top > insets.top) {
+          insets = after;
+          scrollToY(wanted - insets.top);
+          await nextPaint();
+        }
+        const viewTop = window.scrollY;
+        let bandEnd = viewTop + window.innerHeight - insets.bottom;
+        // At the end of the page nothing scrolls out from under a footer bar; take what is left
+        if (bandEnd <= wanted) bandEnd = viewTop + window.innerHeight;
+        const pieceTop = Math.max(wanted, viewTop + insets.top);
+        const pieceEnd = Math.min(bandEnd, rect.pageY + rect.h);
+        if (pieceEnd <= pieceTop) break;
+
+        await sleep(Math.max(0, lastShot + SHOT_INTERVAL - Date.now()));
+        const shot = await takeScreenshot();
+        lastShot = Date.now();
+        const pieceH = pieceEnd - pieceTop;
+        ctx.drawImage(
+          shot,
+          Math.floor(rect.x * ratio), Math.floor((pieceTop - viewTop) * ratio),
+          Math.floor(rect.w * ratio), Math.floor(pieceH * ratio),
+          0, Math.floor((pieceTop - rect.pageY) * ratio * scale),
+          canvas.width, Math.ceil(pieceH * ratio * scale)
+        );
+        done = pieceEnd - rect.pageY;
+      }
+    } finally {
+      scrollToY(originalY);
+    }
+    return canvas.toDataURL("image/png");
   }
 
   // --- capture flow ----------------------------------------------------------
   function beginCapture() {
+    if (overlay?.isConnected) return;
     ensureOverlay();
     document.body.appendChild(overlay);
-    document.addEventListener("keydown", onEsc, true);
+    document.addEventListener("keydown", onKey, true);
+    window.addEventListener("scroll", onScroll, true);
 
     start = null;
+    regions = [];
+    sel = null;
+    let pointer = { x: 0, y: 0 };
 
     // Track all mouse movements for guide following
     const trackMouse = (ev) => {
@@ -118,18 +681,43 @@
     };
     overlay.addEventListener("mousemove", trackMouse);
 
+    // The selection from the drag start (page coordinates) to the pointer (viewport coordinates)
+    const currentRect = () => {
+      const pointerPageY = pointer.y + window.scrollY;
+      const pageY = Math.min(pointerPageY, start.pageY);
+      return {
+        x: Math.min(pointer.x, start.x),
+        y: pageY - window.scrollY,
+        pageY,
+        w: Math.abs(pointer.x - start.x),
+        h: Math.abs(pointerPageY - start.pageY),
+        dpr: dpr()
+      };
+    };
+
+    const drawBox = () => {
+      if (!start) return;
+      const r = currentRect();
+      sel = { x: r.x, pageY: r.pageY, w: r.w, h: r.h, pending: false };
+      renderSelection();
+    };
+
+    // While the pointer is held in an edge band, keep scrolling and growing the selection
+    const autoScroll = () => {
+      if (!start) return;
+      const vh = window.innerHeight;
+      let step = 0;
+      if (pointer.y > vh - EDGE) step = Math.ceil(((pointer.y - (vh - EDGE)) / EDGE) * MAX_SCROLL_STEP);
+      else if (pointer.y < EDGE) step = -Math.ceil(((EDGE - pointer.y) / EDGE) * MAX_SCROLL_STEP);
+      if (step) window.scrollBy(0, step);
+      drawBox(); // also follows wheel scrolling during the drag
+      requestAnimationFrame(autoScroll);
+    };
+
     onMove = (ev) => {
       if (!start) return;
-      const x = Math.min(ev.clientX, start.x);
-      const y = Math.min(ev.clientY, start.y);
-      const w = Math.abs(ev.clientX - start.x);
-      const h = Math.abs(ev.clientY - start.y);
-      Object.assign(box.style, {
-        left: x + "px",
-        top: y + "px",
-        width: w + "px",
-        height: h + "px"
-      });
+      pointer = { x: ev.clientX, y: ev.clientY };
+      drawBox();
     };
     
     onUp = async (ev) => {
@@ -141,55 +729,60 @@
         return; 
       }
 
-      const rect = {
-        x: Math.min(ev.clientX, start.x),
-        y: Math.min(ev.clientY, start.y),
-        w: Math.abs(ev.clientX - start.x),
-        h: Math.abs(ev.clientY - start.y),
-        dpr: dpr()
-      };
+      pointer = { x: ev.clientX, y: ev.clientY };
+      const rect = currentRect();
+      const adding = start.shift || ev.shiftKey;
+      const previous = start.previous;
+      start = null;
 
-      // Minimum size check
-      if (rect.w < 10 || rect.h < 10) {
-        removeOverlay();
+      // Minimum size check: a stray click keeps the earlier selection, and only cancels
+      // when nothing has been selected or added yet
+      if (rect.w < MIN_SIZE || rect.h < MIN_SIZE) {
+        sel = previous;
+        renderSelection();
+        if (!previous && !regions.length) removeOverlay();
         return;
       }
 
-      removeOverlay();
-      
-      try {
-        const imageDataUrl = await screenshotAndCrop(rect);
-        await createPopupWithImage(imageDataUrl);
-      } catch (err) {
-        console.error("[T2C] Capture error:", err);
-        alert("Capture Error: " + (err?.message || err));
+      sel = { x: rect.x, pageY: rect.pageY, w: rect.w, h: rect.h, pending: true };
+      if (!adding) {
+        renderSelection();
+        return;
+      }
+      await confirmSelection({ asRegion: true });
+      // A selection that was still being adjusted stays up after the region is added
+      if (overlay && previous?.pending) {
+        sel = previous;
+        renderSelection();
       }
     };
 
     overlay.addEventListener("mousedown", (ev) => {
-      if (ev.button !== 0) return;
-      start = { x: ev.clientX, y: ev.clientY };
+      if (ev.button !== 0 || busy) return;
+      start = { x: ev.clientX, pageY: ev.clientY + window.scrollY, shift: ev.shiftKey, previous: sel };
+      pointer = { x: ev.clientX, y: ev.clientY };
       overlay.addEventListener("mousemove", onMove);
       overlay.addEventListener("mouseup", onUp);
+      requestAnimationFrame(autoScroll);
       ev.preventDefault();
-    }, { once: true });
+    });
   }
 
-  async function screenshotAndCrop(rect) {
-    // 1) ask background for a full-tab PNG
+  // Ask background for a full-tab PNG
+  async function takeScreenshot() {
     const response = await chrome.runtime.sendMessage({ type: "t2c.screenshot" });
     
     if (!response?.ok || !response?.dataUrl) {
       throw new Error(response?.err || "screenshot failed");
     }
+    return loadImage(response.dataUrl);
+  }
+
+  async function screenshotAndCrop(rect) {
+    // 1) full-tab screenshot
+    const img = await takeScreenshot();
 
     // 2) crop it locally in the content world
-    const img = await new Promise((resolve, reject) => {
-      const image = new Image();
-      image.onload = () => resolve(image);
-      image.onerror = reject;
-      image.src = response.dataUrl;
-    });
 
     const sx = Math.max(0, Math.floor(rect.x * rect.dpr));
     const sy = Math.max(0, Math.floor(rect.y * rect.dpr));
@@ -206,11 +799,12 @@
   }
 
   // --- popup creator ----------------------------------------------------------
-  async function createPopupWithImage(imageDataUrl) {
+  async function createPopupWithImage(imageDataUrl, domText = null) {
     try {
       const response = await chrome.runtime.sendMessage({ 
         type: 't2c.createPopup', 
-        imageDataUrl: imageDataUrl 
+        imageDataUrl: imageDataUrl,
+        domText
       });
       
       if (!response?.ok) {
@@ -224,6 +818,27 @@
     }
   }
 
+  // --- calendar links ---------------------------------------------------------
+  // "Add to calendar" downloads and subscriptions already on the page; the background
+  // fetches and parses them instead of OCR'ing the rendered text.
+  const CALENDAR_HREF = /^webcals?:|^data:text\/calendar|\.(?:ics|ical|ifb|vcs)(?:[?#]|$)/i;
+  const MAX_CALENDAR_LINKS = 20;
+
+  function findCalendarLinks() {
+    const links = [];
+    const seen = new Set();
+    for (const el of document.querySelectorAll("a[href], link[href]")) {
+      const href = el.href || "";
+      const typed = /^text\/calendar/i.test(el.type || "") || /\.ics$/i.test(el.getAttribute("download") || "");
+      if (!typed && !CALENDAR_HREF.test(href)) continue;
+      if (!/^(?:https?|webcals?|data):/i.test(href) || seen.has(href)) continue;
+      seen.add(href);
+      links.push({ url: href, label: (el.textContent || el.title || "").replace(/\s+/g, " ").trim().slice(0, 120) });
+      if (links.length >= MAX_CALENDAR_LINKS) break;
+    }
+    return links;
+  }
+
   // --- runtime wiring --------------------------------------------------------
   chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
     if (msg?.type === "t2c.ping") { 
@@ -240,6 +855,10 @@
       sendResponse({ ok: true }); 
       return false;
     }
+    if (msg?.type === "t2c.findCalendarLinks") {
+      sendResponse({ ok: true, links: findCalendarLinks() });
+      return false;
+    }
     
     return false;
   });
@@ -0,0 +1,150 @@
+// event_schema.js – the one event shape every parser answer is checked against before it
+// reaches the modal (LLM parsers, direct vision parse, the offline rules). validateEvents()
+// normalizes what it can and lists what it cannot; api_calls.js sends that list back to the
+// model once as a repair prompt.
+//
+// A normalized event: { title, start, end, location, hasTime, recurrence, timeZone, flags }
+//   start/end:  'YYYY-MM-DD' or 'YYYY-MM-DDTHH:MM:SS' (an offset, if the parser gave one, is kept)
+//   recurrence: see recurrence.js; timeZone: IANA name or null
+//   flags:      { title|start|end|location|timeZone|hasTime: 'inferred' | 'missing' } – 'inferred'
+//               when the parser says it worked the value out rather than read it, or it was
+//               filled in here; 'missing' when there is no usable value
+
+import { normalizeRecurrence } from './recurrence.js';
+import { resolveTimeZone } from './timezones.js';
+
+export const EVENT_FIELDS = ['title', 'start', 'end', 'location', 'hasTime', 'recurrence', 'timeZone'];
+const FLAGGED_FIELDS = ['title', 'start', 'end', 'location', 'timeZone', 'hasTime'];
+
+// Keys models use instead of the schema's own; accepted without complaint
+const ALIASES = {
+  title: ['name', 'summary'],
+  start: ['startDate', 'start_date'],
+  end: ['endDate', 'end_date'],
+  location: ['venue'],
+  hasTime: ['has_time'],
+  timeZone: ['timezone', 'time_zone'],
+};
+
+const ISO_DATE_TIME = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i;
+const BLANK = /^(null|none|n\/a|unknown|undefined)?$/i;
+
+function pick(raw, field) {
+  if (raw[field] !== undefined) return raw[field];
+  const alias = (ALIASES[field] || []).find((key) => raw[key] !== undefined);
+  return alias ? raw[alias] : undefined;
+}
+
+// string | number | null → trimmed string or null; anything else is a problem
+function text(value, field, problems) {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return String(value);
+  if (typeof value !== 'string') {
+    problems.push(`${field} must be a string or null`);
+    return null;
+  }
+  const s = value.trim();
+  return BLANK.test(s) ? null : s;
+}
+
+// '2025-09-23T17:30' → { value: '2025-09-23T17:30:00', hasTime: true }; null for impossible dates
+function normalizeDateTime(value) {
+  const m = ISO_DATE_TIME.exec(value);
+  if (!m) return null;
+  const [, y, mo, d, h, mi, s = '00', offset] = m;
+  const day = new Date(Date.UTC(+y, +mo - 1, +d));
+  if (day.getUTCFullYear() !== +y || day.getUTCMonth() !== +mo - 1 || day.getUTCDate() !== +d) return null;
+  if (h === undefined) return { value: `${y}-${mo}-${d}`, hasTime: false };
+  if (+h > 23 || +mi > 59 || +s > 59) return null;
+  return { value: `${y}-${mo}-${d}T${h}:${mi}:${s}${offset ? offset.toUpperCase() : ''}`, hasTime: true };
+}
+
+function normalizeEvent(raw) {
+  const problems = [];
+  const flags = {};
+  const title = text(pick(raw, 'title'), 'title', problems);
+  const location = text(pick(raw, 'location'), 'location', problems);
+
+  const dates = {};
+  for (const field of ['start', 'end']) {
+    const value = text(pick(raw, field), field, problems);
+    dates[field] = value ? normalizeDateTime(value) : null;
+    if (value && !dates[field]) problems.push(`${field} "${value}" is not a local ISO 8601 date ("YYYY-MM-DD" or "YYYY-MM-DDTHH:MM:SS")`);
+  }
+  const { start } = dates;
+  let { end } = dates;
+  // A date-only end on a timed start's day is fine, so compare dates alone unless both have a time
+  const comparable = start?.hasTime && end?.hasTime ? 19 : 10;
+  if (start && end && end.value.slice(0, comparable) < start.value.slice(0, comparable)) {
+    problems.push(`end "${end.value}" is before start "${start.value}"`);
+    end = null;
+  }
+
+  let hasTime = pick(raw, 'hasTime');
+  if (typeof hasTime === 'string' && /^(true|false)$/i.test(hasTime.trim())) hasTime = hasTime.trim().toLowerCase() === 'true';
+  if (hasTime !== undefined && hasTime !== null && typeof hasTime !== 'boolean') {
+    problems.push('hasTime must be true, false or null');
+    hasTime = null;
+  }
+  if (typeof hasTime !== 'boolean') {
+    hasTime = !!start?.hasTime;
+    if (start) flags.hasTime = 'inferred';
+  } else if (hasTime && start && !start.hasTime) {
+    problems.push(`hasTime is true but start "${start.value}" has no time`);
+    hasTime = false;
+  }
+
+  const rawRecurrence = pick(raw, 'recurrence');
+  const recurrence = normalizeRecurrence(rawRecurrence);
+  const noRecurrence = !rawRecurrence || (typeof rawRecurrence === 'string' && BLANK.test(rawRecurrence.trim()));
+  if (!recurrence && !noRecurrence) {
+    problems.push('recurrence must be null or an object whose "frequency" is DAILY, WEEKLY, MONTHLY or YEARLY');
+  }
+
+  const zone = text(pick(raw, 'timeZone'), 'timeZone', problems);
+  const timeZone = zone ? resolveTimeZone(zone) : null;
+  if (zone && !timeZone) problems.push(`timeZone "${zone}" is not a known time zone; use an IANA name such as "America/New_York"`);
+
+  // The prompt asks for the keys the model worked out itself; a malformed list is just ignored
+  const inferred = pick(raw, 'inferred');
+  for (const field of Array.isArray(inferred) ? inferred : []) {
+    if (FLAGGED_FIELDS.includes(field)) flags[field] = 'inferred';
+  }
+  if (!title) flags.title = 'missing';
+  if (!start) flags.start = 'missing';
+  if (!end && hasTime) flags.end = 'missing'; // all-day events often have no end
+  if (!location) flags.location = 'missing';
+
+  const event = { title, start: start?.value ?? null, end: end?.value ?? null, location, hasTime, recurrence, timeZone, flags };
+  return { event, problems };
+}
+
+// Parser answer → { events: [normalized...], errors: ['events[0].start ...', ...] }. Accepts
+// { events: [...] } (extra keys such as a vision transcript are fine), a bare array, or a single
+// event object. Fields that fail are set to null and reported; non-object elements are dropped.
+export function validateEvents(result) {
+  const errors = [];
+  let list = [];
+  if (Array.isArray(result)) {
+    list = result;
+  } else if (result && typeof result === 'object' && 'events' in result) {
+    if (Array.isArray(result.events)) list = result.events;
+    else errors.push('"events" must be an array');
+  } else if (result && typeof result === 'object' && EVENT_FIELDS.some((f) => pick(result, f) !== undefined)) {
+    list = [result];
+  } else {
+    errors.push('the answer must be a JSON object of the form {"events": [...]}');
+  }
+
+  const events = [];
+  list.forEach((raw, i) => {
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+      errors.push(`events[${i}] must be an object`);
+      return;
+    }
+    const { event, problems } = normalizeEvent(raw);
+    errors.push(...problems.map((p) => `events[${i}].${p}`));
+    events.push(event);
+  });
+  return { events, errors };
+}
@@ -0,0 +1,189 @@
+// google_calendar.js – direct insertion through the Google Calendar API (events.insert)
+// Auth is chrome.identity.launchWebAuthFlow with the user's own OAuth client ID (same
+// bring-your-own-credentials model as the API keys). The HTTP layer is a small client
+// built by createCalendarClient({ baseUrl, fetchImpl }) so it can be pointed at a stub server.
+
+import { buildRRule } from './recurrence.js';
+
+export const DEFAULT_CALENDAR_API_BASE = 'https://www.googleapis.com/calendar/v3';
+const AUTH_ENDPOINT = 'https://accounts.google.com/o/oauth2/v2/auth';
+const SCOPES = [
+  'https://www.googleapis.com/auth/calendar.events',
+  'https://www.googleapis.com/auth/calendar.readonly',
+];
+const TOKEN_KEY = 'gcalAuth';
+
+// Event colour ids as used by the Calendar UI (GET /colors returns the same ids)
+export const EVENT_COLORS = [
+  { id: '1', name: 'Lavender', hex: '#7986cb' },
+  { id: '2', name: 'Sage', hex: '#33b679' },
+  { id: '3', name: 'Grape', hex: '#8e24aa' },
+  { id: '4', name: 'Flamingo', hex: '#e67c73' },
+  { id: '5', name: 'Banana', hex: '#f6bf26' },
+  { id: '6', name: 'Tangerine', hex: '#f4511e' },
+  { id: '7', name: 'Peacock', hex: '#039be5' },
+  { id: '8', name: 'Graphite', hex: '#616161' },
+  { id: '9', name: 'Blueberry', hex: '#3f51b5' },
+  { id: '10', name: 'Basil', hex: '#0b8043' },
+  { id: '11', name: 'Tomato', hex: '#d50000' },
+];
+
+// --------------------------- OAuth ---------------------------
+
+export function getRedirectUrl() {
+  return chrome.identity.getRedirectURL();
+}
+
+async function readCachedToken() {
+  const { [TOKEN_KEY]: auth } = await chrome.storage.session.get([TOKEN_KEY]);
+  // Treat tokens that expire within a minute as already expired
+  if (auth?.accessToken && auth.expiresAt > Date.now() + 60000) return auth.accessToken;
+  return null;
+}
+
+export async function getAccessToken({ clientId, interactive = false }) {
+  const cached = await readCachedToken();
+  if (cached) return cached;
+  if (!clientId) throw new Error('Google OAuth client ID is missing. Add it in Options → Google Calendar.');
+
+  const url = new URL(AUTH_ENDPOINT);
+  url.searchParams.set('client_id', clientId);
+  url.searchParams.set('response_type', 'token');
+  url.searchParams.set('redirect_uri', getRedirectUrl());
+  url.searchParams.set('scope', SCOPES.join(' '));
+  url.searchParams.set('include_granted_scopes', 'true');
+
+  let responseUrl;
+  try {
+    responseUrl = await chrome.identity.launchWebAuthFlow({ url: url.toString(), interactive });
+  } catch (e) {
+    throw new Error(interactive ? `Google sign-in failed: ${e.message}` : 'Not signed in to Google Calendar.');
+  }
+  const params = new URLSearchParams(new URL(responseUrl).hash.slice(1));
+  if (params.get('error')) throw new Error(`Google sign-in failed: ${params.get('error')}`);
+  const accessToken = params.get('access_token');
+  if (!accessToken) throw new Error('Google sign-in returned no access token.');
+
+  const expiresIn = parseInt(params.get('expires_in'), 10) || 3600;
+  await chrome.storage.session.set({ [TOKEN_KEY]: { accessToken, expiresAt: Date.now() + expiresIn * 1000 } });
+  return accessToken;
+}
+
+export async function isSignedIn() {
+  return !!(await readCachedToken());
+}
+
+export async function signOut() {
+  const { [TOKEN_KEY]: auth } = await chrome.storage.session.get([TOKEN_KEY]);
+  await chrome.storage.session.remove(TOKEN_KEY);
+  if (auth?.accessToken) {
+    // Best effort: revoke so the grant does not linger
+    try {
+      await fetch(`https://oauth2.googleapis.com/revoke?token=${encodeURIComponent(auth.accessToken)}`, { method: 'POST' });
+    } catch {}
+  }
+}
+
+// --------------------------- API client ---------------------------
+
+export function createCalendarClient({ getToken, baseUrl = DEFAULT_CALENDAR_API_BASE, fetchImpl = fetch }) {
+  const base = baseUrl.replace(/\/+$/, '');
+
+  async function request(method, path, body) {
+    const token = await getToken();
+    const endpoint = `${base}${path}`;
+    console.log(`[T2C DEBUG] Calling Google Calendar API: ${method} ${endpoint}`);
+    const resp = await fetchImpl(endpoint, {
+      method,
+      headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await resp.json().catch(() => ({}));
+    if (resp.status === 401) {
+      await chrome.storage.session.remove(TOKEN_KEY);
+      throw new Error('Google Calendar sign-in expired. Please sign in again.');
+    }
+    if (!resp.ok) throw new Error(data.error?.message || `Google Calendar API ${resp.status}`);
+    return { data, endpoint };
+  }
+
+  return {
+    async listCalendars() {
+      const { data } = await request('GET', '/users/me/calendarList?minAccessRole=writer');
+      return (data.items || []).map((c) => ({
+        id: c.id,
+        summary: c.summaryOverride || c.summary || c.id,
+        primary: !!c.primary,
+        backgroundColor: c.backgroundColor || '',
+      }));
+    },
+
+    async insertEvent(calendarId, resource) {
+      const path = `/calendars/${encodeURIComponent(calendarId || 'primary')}/events`;
+      const { data, endpoint } = await request('POST', path, resource);
+      return { event: data, debug: { provider: 'google-calendar', endpoint, payload: resource } };
+    },
+  };
+}
+
+// --------------------------- Event mapping ---------------------------
+
+const z2 = (n) => String(n).padStart(2, '0');
+
+function addDays(ymd, days) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + days));
+  return `${dt.getUTCFullYear()}-${z2(dt.getUTCMonth() + 1)}-${z2(dt.getUTCDate())}`;
+}
+
+// Wall-clock arithmetic on 'YYYY-MM-DD' + 'HH:MM' without touching the browser zone
+function addMinutes(ymd, hm, minutes) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const [hh, mm] = hm.split(':').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d, hh, mm + minutes));
+  return {
+    date: `${dt.getUTCFullYear()}-${z2(dt.getUTCMonth() + 1)}-${z2(dt.getUTCDate())}`,
+    time: `${z2(dt.getUTCHours())}:${z2(dt.getUTCMinutes())}`,
+  };
+}
+
+// Form-shaped modal event → Calendar API Event resource
+export function toCalendarResource(ev, { timeZone, description = '', colorId = '', reminders = null } = {}) {
+  const resource = {
+    summary: ev.title || 'New Event',
+    location: ev.location || undefined,
+    description: description || undefined,
+  };
+
+  if (ev.allDay) {
+    resource.start = { date: ev.startDate };
+    resource.end = { date: addDays(ev.endDate || ev.startDate, 1) }; // exclusive
+  } else {
+    const end = ev.endTime
+      ? { date: ev.endDate || ev.startDate, time: ev.endTime }
+      : addMinutes(ev.startDate, ev.startTime, 60); // the API requires an end
+    const zone = ev.timeZone || timeZone;
+    resource.start = { dateTime: `${ev.startDate}T${ev.startTime}:00`, timeZone: zone };
+    resource.end = { dateTime: `${end.date}T${end.time}:00`, timeZone: zone };
+  }
+
+  const rrule = buildRRule(ev.recurrence, { allDay: ev.allDay, timeZone: ev.timeZone || timeZone });
+  if (rrule) resource.recurrence = [rrule];
+  if (colorId) resource.colorId = String(colorId);
+  if (Array.isArray(reminders)) {
+    resource.reminders = {
+      useDefault: false,
+      overrides: reminders.slice(0, 5).map((minutes) => ({ method: 'popup', minutes })),
+    };
+  }
+  return resource;
+}
+
+// "10, 60" → [10, 60]; '' → null (use the calendar's default reminders)
+export function parseReminderList(value) {
+  const list = String(value || '')
+    .split(/[\s,]+/)
+    .map((v) => parseInt(v, 10))
+    .filter((n) => Number.isFinite(n) && n >= 0 && n <= 40320);
+  return list.length ? list : null;
+}
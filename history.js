@@ -0,0 +1,127 @@
+// history.js – browse, search, re-open, re-export and delete saved captures
+
+import { listCaptures, deleteCapture, clearHistory, searchableText } from './history_store.js';
+import { buildIcs, icsFilename, isExportable, saveIcsFile } from './ics.js';
+import { describeRecurrence } from './recurrence.js';
+import { getTarget } from './calendar_targets.js';
+
+const $ = (id) => document.getElementById(id);
+
+let records = [];
+
+function el(tag, props = {}, children = []) {
+  const node = Object.assign(document.createElement(tag), props);
+  node.append(...children);
+  return node;
+}
+
+function eventSummary(ev) {
+  const when = ev.startDate ? `${ev.startDate}${ev.allDay || !ev.startTime ? '' : ' ' + ev.startTime}` : 'no date';
+  const repeats = describeRecurrence(ev.recurrence);
+  return `${ev.title || 'Untitled event'} — ${when}${repeats ? ` · ${repeats}` : ''}${ev.location ? ` · ${ev.location}` : ''}`;
+}
+
+function submissionSummary(sub) {
+  const at = new Date(sub.at).toLocaleString();
+  if (sub.kind === 'ics') return `Exported ${sub.count} event(s) to .ics · ${at}`;
+  if (sub.kind === 'api') return `Inserted "${sub.title || 'event'}" via Google Calendar API · ${at}`;
+  return `Sent "${sub.title || 'event'}" to ${getTarget(sub.target).label} · ${at}`;
+}
+
+async function exportRecord(record) {
+  const list = (record.events || []).filter(isExportable);
+  if (!list.length) {
+    alert('This capture has no events with a date to export.');
+    return;
+  }
+  const description = 'Created by EventCapture' + (record.ocrText ? '\n' + record.ocrText : '');
+  await saveIcsFile(buildIcs(list, { description }), icsFilename(list));
+}
+
+function renderItem(record) {
+  const thumb = record.thumbnail
+    ? el('img', { className: 'history-thumb', src: record.thumbnail, alt: '' })
+    : el('div', { className: 'history-thumb history-thumb-text', textContent: record.ocr?.provider === 'structured' ? 'Page data' : 'Text capture' });
+
+  const body = el('div');
+  const evs = record.events || [];
+  body.append(evs.length
+    ? el('ul', { className: 'history-events' }, evs.map((ev) => el('li', { textContent: eventSummary(ev) })))
+    : el('p', { className: 'history-meta', textContent: 'No events parsed' }));
+
+  body.append(el('p', { className: 'history-meta', textContent: `Captured ${new Date(record.createdAt).toLocaleString()}` }));
+  if (record.source?.url) {
+    const link = el('a', { href: record.source.url, target: '_blank', rel: 'noopener', textContent: record.source.title || record.source.url });
+    const from = el('p', { className: 'history-meta' }, ['From ', link]);
+    if (record.source.imageUrl) {
+      from.append(' · ', el('a', { href: record.source.imageUrl, target: '_blank', rel: 'noopener', textContent: 'original image' }));
+    }
+    body.append(from);
+  }
+  const ocr = record.ocr?.provider === 'structured' ? `Structured data: ${record.ocr.model}`
+    : record.ocr?.provider === 'dom' ? 'Page text (no OCR)'
+    : record.ocr ? `OCR: ${record.ocr.provider}${record.ocr.model ? ` (${record.ocr.model})` : ''}` : '';
+  const parse = record.parse ? `Parse: ${record.parse.provider}${record.parse.model ? ` (${record.parse.model})` : ''}` : '';
+  if (ocr || parse) body.append(el('p', { className: 'history-meta', textContent: [ocr, parse].filter(Boolean).join(' • ') }));
+  if (record.error) body.append(el('p', { className: 'history-meta history-error', textContent: `Failed: ${record.error}` }));
+  for (const sub of record.submissions || []) {
+    body.append(el('p', { className: 'history-meta', textContent: submissionSummary(sub) }));
+  }
+  if (record.ocrText) {
+    body.append(el('details', {}, [el('summary', { textContent: 'OCR text' }), el('pre', { textContent: record.ocrText })]));
+  }
+
+  const openBtn = el('button', { className: 'btn btn-primary', textContent: 'Open' });
+  openBtn.addEventListener('click', async () => {
+    const res = await chrome.runtime.sendMessage({ type: 'EC_HISTORY_OPEN', id: record.id });
+    if (!res?.ok) alert(`Could not open capture: ${res?.error || 'unknown error'}`);
+  });
+  const exportBtn = el('button', { className: 'btn btn-secondary', textContent: 'Export .ics' });
+  exportBtn.disabled = !evs.some(isExportable);
+  exportBtn.addEventListener('click', () => exportRecord(record).catch((e) => alert(`Export failed: ${e.message}`)));
+  const deleteBtn = el('button', { className: 'btn btn-secondary', textContent: 'Delete' });
+  deleteBtn.addEventListener('click', async () => {
+    if (!confirm('Delete this capture from history?')) return;
+    await deleteCapture(record.id);
+    await refresh();
+  });
+
+  return el('li', { className: 'history-item' }, [thumb, body, el('div', { className: 'history-actions' }, [openBtn, exportBtn, deleteBtn])]);
+}
+
+function render() {
+  const terms = $('history-search').value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const shown = terms.length
+    ? records.filter((r) => {
+      const text = searchableText(r);
+      return terms.every((t) => text.includes(t));
+    })
+    : records;
+
+  const list = $('history-list');
+  list.replaceChildren(...shown.map(renderItem));
+  $('history-empty').hidden = records.length > 0;
+  $('history-count').textContent = terms.length
+    ? `${shown.length} of ${records.length} captures`
+    : `${records.length} capture${records.length === 1 ? '' : 's'}`;
+  $('history-clear').disabled = !records.length;
+}
+
+async function refresh() {
+  records = await listCaptures();
+  render();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  $('history-search').addEventListener('input', render);
+  $('history-clear').addEventListener('click', async () => {
+    if (!confirm('Delete every saved capture? This cannot be undone.')) return;
+    await clearHistory();
+    await refresh();
+  });
+  // Captures made while this tab was in the background show up when it is revisited
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') refresh();
+  });
+  refresh();
+});
@@ -0,0 +1,141 @@
+// history_store.js – capture history in IndexedDB (extension origin, so the modal, the history
+// page and the service worker all see the same database).
+// A record:
+//   { id, createdAt, updatedAt, source: { url, title, imageUrl? }, thumbnail, image,
+//     ocrText, ocr: { provider, model }, parse: { provider, model }, parsed: { events: [...] },
+//     events: [form-shaped modal events], submissions: [{ at, kind, target, count, link }] }
+
+const DB_NAME = 'calendarcapture';
+const DB_VERSION = 1;
+const STORE = 'captures';
+const MAX_ENTRIES = 500; // oldest entries are pruned beyond this
+const THUMB_SIZE = 240;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+      store.createIndex('createdAt', 'createdAt');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+// Run `fn(store)` in a transaction; resolves with the value of the last request it returns
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('History transaction aborted'));
+  });
+}
+
+function newId() {
+  return globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+// Small JPEG preview for the history list
+export async function makeThumbnail(dataUrl, size = THUMB_SIZE) {
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+  const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+  const canvas = new OffscreenCanvas(Math.max(1, Math.round(bitmap.width * scale)), Math.max(1, Math.round(bitmap.height * scale)));
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close?.();
+  const thumb = await canvas.convertToBlob({ type: 'image/jpeg', quality: 0.8 });
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(thumb);
+  });
+}
+
+export async function saveCapture(fields) {
+  const now = Date.now();
+  const record = { submissions: [], events: [], ...fields, id: fields.id || newId(), createdAt: fields.createdAt || now, updatedAt: now };
+  await withStore('readwrite', (store) => store.put(record));
+  await pruneHistory();
+  return record;
+}
+
+// Shallow-merge `patch` into an existing record; returns the updated record (or null if it is gone)
+export async function updateCapture(id, patch) {
+  const current = await getCapture(id);
+  if (!current) return null;
+  const record = { ...current, ...patch, id, updatedAt: Date.now() };
+  await withStore('readwrite', (store) => store.put(record));
+  return record;
+}
+
+export async function addSubmission(id, submission, events) {
+  const current = await getCapture(id);
+  if (!current) return null;
+  return updateCapture(id, {
+    events: events ?? current.events,
+    submissions: [...(current.submissions || []), { at: Date.now(), ...submission }],
+  });
+}
+
+export function getCapture(id) {
+  return withStore('readonly', (store) => store.get(id)).then((r) => r || null);
+}
+
+export function deleteCapture(id) {
+  return withStore('readwrite', (store) => store.delete(id));
+}
+
+export function clearHistory() {
+  return withStore('readwrite', (store) => store.clear());
+}
+
+// Newest first. Full images are left out of the list; fetch one with getCapture(). A cursor
+// hands over one record at a time, so only a single screenshot is held while the list is built.
+export async function listCaptures() {
+  const list = [];
+  await withStore('readonly', (store) => {
+    const req = store.index('createdAt').openCursor(null, 'prev');
+    req.onsuccess = () => {
+      const cursor = req.result;
+      if (!cursor) return;
+      const { image, ...rest } = cursor.value;
+      list.push(rest);
+      cursor.continue();
+    };
+    return req;
+  });
+  return list;
+}
+
+// Text a search box should match: OCR text, event titles/locations, page title/URL
+export function searchableText(record) {
+  const parts = [record.ocrText, record.source?.title, record.source?.url, record.source?.imageUrl];
+  for (const ev of record.events || []) parts.push(ev.title, ev.location);
+  return parts.filter(Boolean).join('\n').toLowerCase();
+}
+
+async function pruneHistory() {
+  const keys = await withStore('readonly', (store) => store.index('createdAt').getAllKeys());
+  const excess = (keys?.length || 0) - MAX_ENTRIES;
+  if (excess <= 0) return;
+  await withStore('readwrite', (store) => {
+    let last;
+    for (const key of keys.slice(0, excess)) last = store.delete(key);
+    return last;
+  });
+}
@@ -0,0 +1,342 @@
+// ics.js – iCalendar (RFC 5545) export for captured events, and import of calendar files
+// Exported events are the modal's form-shaped objects:
+//   { title, startDate: 'YYYY-MM-DD', startTime: 'HH:MM', endDate, endTime, allDay, location, recurrence, timeZone }
+// Imported events come back in the parsers' shape ({ title, start, end, location, hasTime, timeZone, recurrence }).
+
+import { buildRRule, parseRRule } from './recurrence.js';
+import { localTimeZone, buildVTimezone, zoneOffsetMinutes, resolveTimeZone } from './timezones.js';
+
+const PRODID = '-//CalendarCapture//CalendarCapture 2.0//EN';
+
+// TEXT value escaping (RFC 5545 §3.3.11)
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines at 75 octets, never splitting a UTF-8 sequence (RFC 5545 §3.1)
+export function foldLine(line) {
+  const enc = new TextEncoder();
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  let limit = 75;
+  for (const ch of line) {
+    const n = enc.encode(ch).length;
+    if (bytes + n > limit) {
+      out.push(current);
+      current = ' ';
+      bytes = 1;
+      limit = 75;
+    }
+    current += ch;
+    bytes += n;
+  }
+  out.push(current);
+  return out.join('\r\n');
+}
+
+const z2 = (n) => String(n).padStart(2, '0');
+
+function utcStamp(date) {
+  return `${date.getUTCFullYear()}${z2(date.getUTCMonth() + 1)}${z2(date.getUTCDate())}T${z2(date.getUTCHours())}${z2(date.getUTCMinutes())}${z2(date.getUTCSeconds())}Z`;
+}
+
+const dateValue = (ymd) => ymd.replace(/-/g, '');
+const dateTimeValue = (ymd, hm) => `${dateValue(ymd)}T${hm.replace(':', '')}00`;
+
+function nextDay(ymd) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1, d + 1));
+  return `${dt.getUTCFullYear()}-${z2(dt.getUTCMonth() + 1)}-${z2(dt.getUTCDate())}`;
+}
+
+function newUid() {
+  const id = globalThis.crypto?.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+  return `${id}@calendarcapture`;
+}
+
+function veventLines(ev, { timeZone: defaultZone, description, dtstamp }) {
+  const timeZone = ev.timeZone || defaultZone;
+  const lines = ['BEGIN:VEVENT', `UID:${ev.uid || newUid()}`, `DTSTAMP:${dtstamp}`];
+  if (ev.allDay) {
+    // DTEND is exclusive for DATE values
+    lines.push(`DTSTART;VALUE=DATE:${dateValue(ev.startDate)}`);
+    lines.push(`DTEND;VALUE=DATE:${dateValue(nextDay(ev.endDate || ev.startDate))}`);
+  } else {
+    lines.push(`DTSTART;TZID=${timeZone}:${dateTimeValue(ev.startDate, ev.startTime)}`);
+    if (ev.endTime) lines.push(`DTEND;TZID=${timeZone}:${dateTimeValue(ev.endDate || ev.startDate, ev.endTime)}`);
+  }
+  const rrule = buildRRule(ev.recurrence, { allDay: ev.allDay, timeZone });
+  if (rrule) lines.push(rrule);
+  lines.push(`SUMMARY:${escapeText(ev.title || 'New Event')}`);
+  if (ev.location) lines.push(`LOCATION:${escapeText(ev.location)}`);
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+// Can this event be written out? (timed events need a start time, all-day ones a date)
+export function isExportable(ev) {
+  return !!(ev?.startDate && (ev.allDay || ev.startTime));
+}
+
+// Build a complete VCALENDAR document. `description` (typically the OCR text) goes on every VEVENT;
+// `timeZone` applies to events without their own.
+export function buildIcs(events, { description = '', timeZone = localTimeZone(), now = new Date() } = {}) {
+  const list = events.filter(isExportable);
+  const dtstamp = utcStamp(now);
+  const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', `PRODID:${PRODID}`, 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH'];
+
+  // One VTIMEZONE per zone in use, with rules from the earliest year it is needed
+  const zoneYears = new Map();
+  for (const ev of list.filter((e) => !e.allDay)) {
+    const tz = ev.timeZone || timeZone;
+    const year = parseInt(ev.startDate, 10);
+    zoneYears.set(tz, Math.min(zoneYears.get(tz) ?? year, year));
+  }
+  for (const [tz, year] of zoneYears) lines.push(...buildVTimezone(tz, year));
+  for (const ev of list) lines.push(...veventLines(ev, { timeZone, description, dtstamp }));
+  lines.push('END:VCALENDAR');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export function icsFilename(events) {
+  const base = events.length === 1 ? events[0].title : 'events';
+  const slug = String(base || 'event').trim().replace(/[^\w\- ]+/g, '').replace(/\s+/g, '-').slice(0, 60);
+  return `${slug || 'event'}.ics`;
+}
+
+// Save through chrome.downloads (extension pages only — needs Blob URLs)
+export async function saveIcsFile(icsText, filename) {
+  const url = URL.createObjectURL(new Blob([icsText], { type: 'text/calendar;charset=utf-8' }));
+  try {
+    return await chrome.downloads.download({ url, filename, saveAs: true });
+  } finally {
+    // Give the download manager a moment to read the blob before releasing it
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  }
+}
+
+// --- Import ----------------------------------------------------------------------
+
+// Lines continued with a leading space/tab are joined back up (RFC 5545 §3.1)
+function unfoldLines(text) {
+  return String(text).replace(/\r\n?/g, '\n').replace(/\n[ \t]/g, '').split('\n').filter((l) => l.trim());
+}
+
+// 'DTSTART;TZID="America/New_York":20261103T140000' → { name, params: { TZID }, value }
+function parseContentLine(line) {
+  let i = 0;
+  for (let quoted = false; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    else if (line[i] === ':' && !quoted) break;
+  }
+  const [name, ...rawParams] = line.slice(0, i).match(/(?:[^;"]|"[^"]*")+/g) || [''];
+  const params = {};
+  for (const p of rawParams) {
+    const eq = p.indexOf('=');
+    if (eq > 0) params[p.slice(0, eq).toUpperCase()] = p.slice(eq + 1).replace(/^"|"$/g, '');
+  }
+  return { name: name.toUpperCase(), params, value: line.slice(i + 1) };
+}
+
+export function unescapeText(value) {
+  return String(value ?? '').replace(/\\([\\;,nN])/g, (_, c) => (c === 'n' || c === 'N' ? '\n' : c));
+}
+
+// VCALENDAR text → component tree: { type, props: [{ name, params, value }], children }
+function parseComponents(text) {
+  const root = { type: 'ROOT', props: [], children: [] };
+  const stack = [root];
+  for (const line of unfoldLines(text)) {
+    const prop = parseContentLine(line);
+    const top = stack[stack.length - 1];
+    if (prop.name === 'BEGIN') {
+      const comp = { type: prop.value.trim().toUpperCase(), props: [], children: [] };
+      top.children.push(comp);
+      stack.push(comp);
+    } else if (prop.name === 'END') {
+      if (stack.length > 1) stack.pop();
+    } else {
+      top.props.push(prop);
+    }
+  }
+  return root;
+}
+
+const getProp = (comp, name) => comp.props.find((p) => p.name === name) || null;
+const getChildren = (comp, type) => comp.children.filter((c) => c.type === type);
+
+// '20261103' / '20261103T140000' / '20261103T190000Z' → parts, or null
+function parseIcsDateTime(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i.exec(String(value).trim());
+  if (!m) return null;
+  return {
+    ymd: `${m[1]}-${m[2]}-${m[3]}`,
+    hm: m[4] ? `${m[4]}:${m[5]}` : null,
+    utc: !!m[7],
+    // Wall clock as a UTC timestamp, for arithmetic that must not touch the browser zone
+    wall: Date.UTC(+m[1], +m[2] - 1, +m[3], +(m[4] || 0), +(m[5] || 0)),
+  };
+}
+
+function wallToIso(wall) {
+  const d = new Date(wall);
+  return `${d.getUTCFullYear()}-${z2(d.getUTCMonth() + 1)}-${z2(d.getUTCDate())}T${z2(d.getUTCHours())}:${z2(d.getUTCMinutes())}:00`;
+}
+
+function parseIcsOffset(value) {
+  const m = /^([+-])(\d{2})(\d{2})/.exec(String(value || '').trim());
+  return m ? (m[1] === '-' ? -1 : 1) * (parseInt(m[2], 10) * 60 + parseInt(m[3], 10)) : 0;
+}
+
+// 'P1W', 'PT1H30M', '-P1D' → milliseconds
+function parseDuration(value) {
+  const m = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i.exec(String(value || '').trim());
+  if (!m) return null;
+  const [, sign, w = 0, d = 0, h = 0, min = 0, sec = 0] = m;
+  const ms = ((((+w * 7 + +d) * 24 + +h) * 60 + +min) * 60 + +sec) * 1000;
+  return sign === '-' ? -ms : ms;
+}
+
+const ICS_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// BYDAY token like '2SU' / '-1SU' in a given month → day of month
+function nthWeekdayOfMonth(year, month, token) {
+  const m = /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(token);
+  if (!m) return null;
+  const dow = ICS_WEEKDAYS.indexOf(m[2]);
+  const n = parseInt(m[1] || '1', 10);
+  if (n > 0) {
+    const first = new Date(Date.UTC(year, month - 1, 1)).getUTCDay();
+    return 1 + ((dow - first + 7) % 7) + (n - 1) * 7;
+  }
+  const lastDate = new Date(Date.UTC(year, month, 0));
+  return lastDate.getUTCDate() - ((lastDate.getUTCDay() - dow + 7) % 7) + (n + 1) * 7;
+}
+
+
+// Offset (minutes east) a VTIMEZONE defines at a wall-clock time: the STANDARD/DAYLIGHT
+// observance with the latest onset at or before it. Handles the yearly BYMONTH/BYDAY rules
+// calendar apps write; anything fancier falls back to the observance's DTSTART.
+function vtimezoneOffset(vtz, wall) {
+  const year = new Date(wall).getUTCFullYear();
+  let best = null;
+  const observances = [...getChildren(vtz, 'STANDARD'), ...getChildren(vtz, 'DAYLIGHT')];
+  for (const obs of observances) {
+    const start = parseIcsDateTime(getProp(obs, 'DTSTART')?.value);
+    if (!start) continue;
+    const onsets = [start.wall];
+    const rule = Object.fromEntries(String(getProp(obs, 'RRULE')?.value || '').split(';').map((p) => p.split('=')));
+    if (rule.FREQ === 'YEARLY' && rule.BYMONTH && rule.BYDAY) {
+      const hms = start.wall % 86400000;
+      for (const y of [year - 1, year]) {
+        const day = nthWeekdayOfMonth(y, parseInt(rule.BYMONTH, 10), rule.BYDAY.split(',')[0]);
+        const onset = day && Date.UTC(y, parseInt(rule.BYMONTH, 10) - 1, day) + hms;
+        if (onset && onset >= start.wall) onsets.push(onset);
+      }
+    }
+    for (const onset of onsets) {
+      if (onset <= wall && (!best || onset > best.onset)) best = { onset, obs };
+    }
+  }
+  if (best) return parseIcsOffset(getProp(best.obs, 'TZOFFSETTO')?.value);
+  const first = observances[0];
+  return first ? parseIcsOffset(getProp(first, 'TZOFFSETFROM')?.value) : 0;
+}
+
+// TZID → IANA zone: the TZID itself, a path-prefixed one ('/mozilla.org/.../Europe/Berlin'),
+// a Windows-style name ('Eastern Standard Time') or the VTIMEZONE's X-LIC-LOCATION
+function resolveIcsZone(tzid, vtz) {
+  const segments = String(tzid).split('/').filter(Boolean);
+  for (let i = 0; i < segments.length; i++) {
+    const zone = resolveTimeZone(segments.slice(i).join('/'));
+    if (zone) return zone;
+  }
+  return resolveTimeZone(getProp(vtz || { props: [] }, 'X-LIC-LOCATION')?.value);
+}
+
+// DTSTART/DTEND property → { value: 'YYYY-MM-DD' or local ISO, wall, hasTime, timeZone }.
+// UTC times and zones only defined by their VTIMEZONE are converted to `ctx.timeZone`.
+function icsDateValue(prop, ctx) {
+  const dt = prop && parseIcsDateTime(prop.value);
+  if (!dt) return null;
+  if (!dt.hm || prop.params.VALUE === 'DATE') {
+    return { value: dt.ymd, wall: dt.wall, hasTime: false, timeZone: null };
+  }
+  const tzid = prop.params.TZID;
+  let zone = tzid ? resolveIcsZone(tzid, ctx.zones.get(tzid)) : ctx.calendarZone;
+  let instant = null;
+  if (dt.utc) {
+    instant = dt.wall;
+  } else if (tzid && !zone && ctx.zones.has(tzid)) {
+    instant = dt.wall - vtimezoneOffset(ctx.zones.get(tzid), dt.wall) * 60000;
+  }
+  if (instant !== null) {
+    zone = ctx.timeZone;
+    const wall = instant + zoneOffsetMinutes(zone, new Date(instant)) * 60000;
+    return { value: wallToIso(wall), wall, hasTime: true, timeZone: zone };
+  }
+  return { value: wallToIso(dt.wall), wall: dt.wall, hasTime: true, timeZone: zone || null };
+}
+
+function veventToParsed(vevent, ctx) {
+  const start = icsDateValue(getProp(vevent, 'DTSTART'), ctx);
+  if (!start) return null;
+  let end = icsDateValue(getProp(vevent, 'DTEND') || getProp(vevent, 'DUE'), ctx);
+  const duration = parseDuration(getProp(vevent, 'DURATION')?.value);
+  if (!end && duration) {
+    const wall = start.wall + duration;
+    end = { value: start.hasTime ? wallToIso(wall) : wallToIso(wall).slice(0, 10), wall, hasTime: start.hasTime };
+  }
+  // All-day DTEND is exclusive; the modal's end date is inclusive
+  if (end && !start.hasTime) {
+    const last = Math.max(start.wall, end.wall - 86400000);
+    end = { ...end, value: wallToIso(last).slice(0, 10) };
+  }
+  const rrule = getProp(vevent, 'RRULE');
+  return {
+    title: unescapeText(getProp(vevent, 'SUMMARY')?.value).trim() || 'Untitled event',
+    start: start.value,
+    end: end?.value || null,
+    location: unescapeText(getProp(vevent, 'LOCATION')?.value).trim() || null,
+    hasTime: start.hasTime,
+    timeZone: start.timeZone,
+    recurrence: rrule ? parseRRule(rrule.value, { timeZone: start.timeZone || ctx.timeZone }) : null,
+    description: unescapeText(getProp(vevent, 'DESCRIPTION')?.value).trim(),
+    url: getProp(vevent, 'URL')?.value.trim() || '',
+    uid: getProp(vevent, 'UID')?.value.trim() || '',
+    format: 'ics',
+  };
+}
+
+// iCalendar text → { name, events }. Cancelled events and single-instance overrides
+// (RECURRENCE-ID) are left out; EXDATE/RDATE are not applied. Floating times use the
+// calendar's X-WR-TIMEZONE when it has one.
+export function parseIcs(text, { timeZone = localTimeZone() } = {}) {
+  const root = parseComponents(text);
+  const calendars = getChildren(root, 'VCALENDAR');
+  if (!calendars.length) throw new Error('Not an iCalendar file (no BEGIN:VCALENDAR)');
+  const events = [];
+  let name = '';
+  for (const cal of calendars) {
+    name ||= unescapeText(getProp(cal, 'X-WR-CALNAME')?.value).trim();
+    const ctx = {
+      timeZone,
+      calendarZone: resolveTimeZone(getProp(cal, 'X-WR-TIMEZONE')?.value),
+      zones: new Map(getChildren(cal, 'VTIMEZONE').map((vtz) => [getProp(vtz, 'TZID')?.value, vtz])),
+    };
+    for (const vevent of getChildren(cal, 'VEVENT')) {
+      if (getProp(vevent, 'RECURRENCE-ID')) continue;
+      if (/^CANCELLED$/i.test(getProp(vevent, 'STATUS')?.value || '')) continue;
+      const ev = veventToParsed(vevent, ctx);
+      if (ev) events.push(ev);
+    }
+  }
+  return { name, events };
+}
@@ -0,0 +1,106 @@
+// image_budget.js – fit a capture to what a vision provider accepts before it is uploaded.
+// High-DPR screenshots come out as multi-megabyte PNGs; providers downscale them anyway, so
+// sending them full size only costs time, tokens and, past the payload limits, the request.
+// Runs in the service worker (OffscreenCanvas + createImageBitmap, no FileReader).
+
+// maxSide: long edge in px (the provider's own resize target); maxBytes: size of the image
+// file itself (base64 adds a third on the wire). Providers not listed (Tesseract) get the image as is.
+export const PROVIDER_IMAGE_LIMITS = {
+  'openai-vision': { maxSide: 2048, maxBytes: 4 * 1024 * 1024 },
+  'claude-vision': { maxSide: 1568, maxBytes: 3.5 * 1024 * 1024 }, // hard limit is 5 MB base64
+  'gemini-vision': { maxSide: 3072, maxBytes: 4 * 1024 * 1024 },
+  'google-vision': { maxSide: 4096, maxBytes: 8 * 1024 * 1024 },
+  'custom-vision': { maxSide: 2048, maxBytes: 4 * 1024 * 1024 }, // local vision models resize far smaller
+};
+
+const LOSSY_QUALITIES = [0.92, 0.85, 0.75, 0.6];
+const SHRINK_STEP = 0.8; // when no quality fits, scale down by this and try again
+const MIN_SIDE = 512;
+
+export function formatBytes(n) {
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)} KB`;
+  return `${n} B`;
+}
+
+// "2880×1800 image/png 3.1 MB"
+export function describeImageSize(info) {
+  return info ? `${info.width}×${info.height} ${info.type} ${formatBytes(info.bytes)}` : '';
+}
+
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+function drawScaled(bitmap, scale) {
+  const w = Math.max(1, Math.round(bitmap.width * scale));
+  const h = Math.max(1, Math.round(bitmap.height * scale));
+  const canvas = new OffscreenCanvas(w, h);
+  const ctx = canvas.getContext('2d');
+  // JPEG has no alpha: transparent areas would otherwise turn black
+  ctx.fillStyle = '#fff';
+  ctx.fillRect(0, 0, w, h);
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(bitmap, 0, 0, w, h);
+  return canvas;
+}
+
+// Smallest of WebP/JPEG at `quality`; encoders the browser lacks fall back to PNG and are skipped
+async function smallestLossy(canvas, quality) {
+  let best = null;
+  for (const type of ['image/webp', 'image/jpeg']) {
+    const blob = await canvas.convertToBlob({ type, quality });
+    if (blob.type !== type) continue;
+    if (!best || blob.size < best.size) best = blob;
+  }
+  return best;
+}
+
+// Screenshots try lossless first (text stays crisp); photos that were already lossy go straight
+// to WebP/JPEG. Then lossy at falling quality, then smaller dimensions.
+async function encodeWithinBudget(bitmap, scale, maxBytes, lossless) {
+  for (let s = scale; ; s *= SHRINK_STEP) {
+    const canvas = drawScaled(bitmap, s);
+    let smallest = null;
+    if (lossless) {
+      const png = await canvas.convertToBlob({ type: 'image/png' });
+      if (png.size <= maxBytes) return { blob: png, canvas };
+      smallest = png;
+    }
+    for (const q of LOSSY_QUALITIES) {
+      const lossy = await smallestLossy(canvas, q);
+      if (!lossy) break;
+      if (!smallest || lossy.size < smallest.size) smallest = lossy;
+      if (lossy.size <= maxBytes) return { blob: lossy, canvas };
+    }
+    if (!smallest) return encodeWithinBudget(bitmap, s, maxBytes, true); // no lossy encoder available
+    if (Math.max(canvas.width, canvas.height) * SHRINK_STEP < MIN_SIDE) return { blob: smallest, canvas };
+  }
+}
+
+// dataUrl → { dataUrl, original, sent } where original/sent are { width, height, type, bytes }.
+// Images already within the provider's limits are passed through untouched (sent === original).
+export async function fitImageForProvider(provider, dataUrl) {
+  const limits = PROVIDER_IMAGE_LIMITS[provider];
+  if (!limits || typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) return { dataUrl, original: null, sent: null };
+
+  const blob = await (await fetch(dataUrl)).blob();
+  const bitmap = await createImageBitmap(blob);
+  const original = { width: bitmap.width, height: bitmap.height, type: blob.type || 'unknown', bytes: blob.size };
+  try {
+    const scale = Math.min(1, limits.maxSide / Math.max(bitmap.width, bitmap.height));
+    if (scale === 1 && blob.size <= limits.maxBytes) return { dataUrl, original, sent: original };
+
+    const lossless = !['image/jpeg', 'image/webp'].includes(blob.type);
+    const { blob: out, canvas } = await encodeWithinBudget(bitmap, scale, limits.maxBytes, lossless);
+    const sent = { width: canvas.width, height: canvas.height, type: out.type, bytes: out.size };
+    return { dataUrl: await blobToDataUrl(out), original, sent };
+  } finally {
+    bitmap.close?.();
+  }
+}
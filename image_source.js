@@ -0,0 +1,103 @@
+// image_source.js – fetch a page image at full resolution as a data URL (image context menu).
+// Runs in the service worker: host permissions let it fetch cross-origin images directly; blob:
+// URLs and images that need the page's own session are fetched inside the page as a fallback.
+
+// Formats every OCR provider accepts as base64; anything else is re-encoded as PNG
+const PASSTHROUGH_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+// Magic-number sniffing for servers that send no useful Content-Type
+async function sniffType(blob) {
+  const b = new Uint8Array(await blob.slice(0, 12).arrayBuffer());
+  if (b[0] === 0x89 && b[1] === 0x50) return 'image/png';
+  if (b[0] === 0xff && b[1] === 0xd8) return 'image/jpeg';
+  if (b[0] === 0x47 && b[1] === 0x49) return 'image/gif';
+  if (b[8] === 0x57 && b[9] === 0x45 && b[10] === 0x42 && b[11] === 0x50) return 'image/webp';
+  return '';
+}
+
+async function toProviderFormat(blob) {
+  if (PASSTHROUGH_TYPES.includes(blob.type)) return blob;
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(blob);
+  } catch {
+    throw new Error(`Unsupported image type: ${blob.type || 'unknown'}`);
+  }
+  const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+  return canvas.convertToBlob({ type: 'image/png' });
+}
+
+async function fetchInServiceWorker(srcUrl) {
+  const resp = await fetch(srcUrl, { credentials: 'include' });
+  if (!resp.ok) throw new Error(`Image request failed (${resp.status})`);
+  const blob = await resp.blob();
+  // Some servers label images as octet-stream; trust the bytes only if they decode
+  if (blob.type && !blob.type.startsWith('image/') && blob.type !== 'application/octet-stream') {
+    throw new Error(`Not an image (${blob.type})`);
+  }
+  return blob;
+}
+
+// Inside the page: fetch with the page's origin/cookies, or draw an already-loaded <img>
+async function fetchInPage(srcUrl, tabId, frameId) {
+  const [res] = await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId || 0] },
+    args: [srcUrl],
+    func: async (url) => {
+      const read = (blob) => new Promise((resolve, reject) => {
+        const r = new FileReader();
+        r.onload = () => resolve(r.result);
+        r.onerror = () => reject(r.error);
+        r.readAsDataURL(blob);
+      });
+      try {
+        const resp = await fetch(url);
+        if (resp.ok) return { dataUrl: await read(await resp.blob()) };
+      } catch {}
+      const img = [...document.images].find((i) => i.currentSrc === url || i.src === url);
+      if (!img?.naturalWidth) return { error: 'Image is not reachable from the page' };
+      try {
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        return { dataUrl: canvas.toDataURL('image/png') };
+      } catch (e) {
+        return { error: e.message }; // tainted canvas
+      }
+    },
+  });
+  if (!res?.result?.dataUrl) throw new Error(res?.result?.error || 'Could not read the image in the page');
+  return (await fetch(res.result.dataUrl)).blob();
+}
+
+// srcUrl from contextMenus info → data URL ready for performOcrDebug
+export async function fetchImageAsDataUrl(srcUrl, { tabId, frameId } = {}) {
+  if (!srcUrl) throw new Error('No image URL');
+  let blob;
+  if (srcUrl.startsWith('blob:')) {
+    if (!tabId) throw new Error('Cannot read a blob: image without its tab');
+    blob = await fetchInPage(srcUrl, tabId, frameId);
+  } else {
+    try {
+      blob = await fetchInServiceWorker(srcUrl);
+    } catch (e) {
+      if (!tabId) throw e;
+      console.warn('[T2C] Direct image fetch failed, retrying in the page:', e.message);
+      blob = await fetchInPage(srcUrl, tabId, frameId);
+    }
+  }
+  if (!blob.type || blob.type === 'application/octet-stream') blob = blob.slice(0, blob.size, await sniffType(blob));
+  return blobToDataUrl(await toProviderFormat(blob));
+}
@@ -0,0 +1,469 @@
+// local_parser.js – deterministic, offline date/time parser (parseMethod: 'local')
+// Returns the same { events: [{ title, start, end, location, hasTime, recurrence, timeZone }] } shape as the
+// LLM parsers, with local ISO strings ("2025-09-23T17:30:00"). No network, no dependencies —
+// handy without API keys and as a baseline to compare LLM output against.
+
+import { resolveTimeZone, ZONE_ABBREVIATIONS } from './timezones.js';
+
+const MONTH = '(jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)';
+const WEEKDAY = '(mon(?:day)?|tue(?:s(?:day)?)?|wed(?:nesday)?|thu(?:r(?:s(?:day)?)?)?|fri(?:day)?|sat(?:urday)?|sun(?:day)?)';
+const ORDINAL = '(first|1st|second|2nd|third|3rd|fourth|4th|fifth|5th|last)';
+const MERIDIEM = '(a\\.?m\\.?|p\\.?m\\.?)';
+// One clock time: "2", "2:30", "14:00", optionally followed by am/pm; or noon/midnight
+const CLOCK = `(?:(\\d{1,2})(?:[:.](\\d{2}))?\\s*${MERIDIEM}?|(noon|midnight))`;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const ORDINALS = { first: 1, '1st': 1, second: 2, '2nd': 2, third: 3, '3rd': 3, fourth: 4, '4th': 4, fifth: 5, '5th': 5, last: -1 };
+const SMALL_NUMBERS = { a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+const monthIndex = (name) => MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+const weekdayIndex = (name) => WEEKDAYS.indexOf(name.slice(0, 3).toLowerCase());
+
+// --------------------------- calendar arithmetic ---------------------------
+// Dates are plain { y, m (1-12), d } so nothing depends on the browser zone.
+
+const ymdOf = (date) => ({ y: date.getFullYear(), m: date.getMonth() + 1, d: date.getDate() });
+const toUtc = ({ y, m, d }) => Date.UTC(y, m - 1, d);
+const cmp = (a, b) => toUtc(a) - toUtc(b);
+const weekdayOf = (ymd) => new Date(toUtc(ymd)).getUTCDay();
+
+function addDays(ymd, n) {
+  const dt = new Date(toUtc(ymd) + n * 86400000);
+  return { y: dt.getUTCFullYear(), m: dt.getUTCMonth() + 1, d: dt.getUTCDate() };
+}
+
+function isValidDate({ y, m, d }) {
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  return dt.getUTCFullYear() === y && dt.getUTCMonth() === m - 1 && dt.getUTCDate() === d;
+}
+
+// Next date on weekday `wd` (0=Sun); `includeToday` decides whether today itself counts
+function nextWeekday(today, wd, includeToday = true) {
+  let diff = (wd - weekdayOf(today) + 7) % 7;
+  if (diff === 0 && !includeToday) diff = 7;
+  return addDays(today, diff);
+}
+
+// nth (1..5, or -1 for last) weekday `wd` of a month; null if the month has no such day
+function nthWeekdayOfMonth(y, m, wd, n) {
+  if (n === -1) {
+    const last = { y, m, d: new Date(Date.UTC(y, m, 0)).getUTCDate() };
+    return addDays(last, -((weekdayOf(last) - wd + 7) % 7));
+  }
+  const first = { y, m, d: 1 };
+  const date = addDays(first, (wd - weekdayOf(first) + 7) % 7 + (n - 1) * 7);
+  return date.m === m ? date : null;
+}
+
+// Upcoming "first Tuesday of the month" — this month if it has not passed, else a later month
+function nextNthWeekday(today, wd, n) {
+  for (let i = 0; i < 13; i++) {
+    const y = today.y + Math.floor((today.m - 1 + i) / 12);
+    const m = ((today.m - 1 + i) % 12) + 1;
+    const date = nthWeekdayOfMonth(y, m, wd, n);
+    if (date && cmp(date, today) >= 0) return date;
+  }
+  return null;
+}
+
+// Month/day without a year → the next time that date comes round
+function upcomingYear(today, m, d) {
+  const date = { y: today.y, m, d };
+  return cmp(date, today) < 0 ? { y: today.y + 1, m, d } : date;
+}
+
+function fullYear(y) {
+  const n = parseInt(y, 10);
+  return n < 100 ? 2000 + n : n;
+}
+
+const z2 = (n) => String(n).padStart(2, '0');
+const isoDate = ({ y, m, d }) => `${y}-${z2(m)}-${z2(d)}`;
+const isoLocal = (ymd, minutes) => `${isoDate(ymd)}T${z2(Math.floor(minutes / 60))}:${z2(minutes % 60)}:00`;
+
+// --------------------------- matching helpers ---------------------------
+
+// Find all matches of `re` in the not-yet-consumed parts of `seg`, blanking them as they are claimed
+function claim(seg, re, onMatch) {
+  const rx = new RegExp(re.source, re.flags.includes('g') ? re.flags : re.flags + 'g');
+  let m;
+  while ((m = rx.exec(seg.work)) !== null) {
+    if (m[0] === '') { rx.lastIndex++; continue; }
+    if (onMatch(m) === false) continue;
+    seg.work = seg.work.slice(0, m.index) + ' '.repeat(m[0].length) + seg.work.slice(m.index + m[0].length);
+  }
+}
+
+function clockToMinutes(hour, minute, meridiem, word) {
+  if (word) return word.toLowerCase() === 'noon' ? 12 * 60 : 0;
+  let h = parseInt(hour, 10);
+  const min = minute ? parseInt(minute, 10) : 0;
+  if (h > 23 || min > 59) return null;
+  const mer = meridiem ? meridiem.replace(/\./g, '').toLowerCase() : '';
+  if (mer === 'pm' && h < 12) h += 12;
+  if (mer === 'am' && h === 12) h = 0;
+  return h * 60 + min;
+}
+
+// Without am/pm, 1–6 o'clock almost always means afternoon on event listings
+function assumeMeridiem(minutes, hasMeridiem, eveningHint) {
+  if (hasMeridiem || minutes === null || minutes >= 13 * 60) return minutes;
+  const h = Math.floor(minutes / 60);
+  if ((h >= 1 && h <= 6) || (eveningHint && h >= 1 && h <= 11)) return minutes + 12 * 60;
+  return minutes;
+}
+
+// --------------------------- field extractors ---------------------------
+
+function extractRecurrence(seg, today) {
+  const result = { recurrence: null, date: null };
+
+  // "every first Tuesday", "first Tuesday of the month", "last Friday of each month"
+  claim(seg, new RegExp(`\\b(?:(?:every|each|on\\s+the)\\s+)?${ORDINAL}\\s+${WEEKDAY}\\s+(?:of|in)\\s+(?:the|each|every)\\s+month\\b|\\b(?:every|each)\\s+${ORDINAL}\\s+${WEEKDAY}\\b`, 'i'), (m) => {
+    const ord = ORDINALS[(m[1] || m[3]).toLowerCase()];
+    const wd = weekdayIndex(m[2] || m[4]);
+    result.recurrence = { frequency: 'MONTHLY', interval: 1, byDay: [`${ord}${RRULE_DAYS[wd]}`], until: null, count: null };
+    result.date = nextNthWeekday(today, wd, ord);
+  });
+  if (result.recurrence) return result;
+
+  // "every Monday", "every other Friday", "every Tuesday and Thursday", "Mondays"
+  claim(seg, new RegExp(`\\bevery\\s+(other\\s+|2nd\\s+|second\\s+)?${WEEKDAY}s?((?:\\s*(?:,|and|&)\\s*${WEEKDAY}s?)*)\\b`, 'i'), (m) => {
+    const names = [m[2], ...(m[3] || '').split(/\s*(?:,|and|&)\s*/).filter(Boolean)];
+    const days = [...new Set(names.map((n) => weekdayIndex(n.replace(/s$/i, ''))).filter((i) => i >= 0))];
+    result.recurrence = { frequency: 'WEEKLY', interval: m[1] ? 2 : 1, byDay: days.map((i) => RRULE_DAYS[i]), until: null, count: null };
+    result.date = days.map((wd) => nextWeekday(today, wd)).sort(cmp)[0];
+  });
+  if (result.recurrence) return result;
+
+  claim(seg, /\b(daily|every\s+day|every\s+weekday|weekdays|weekly|every\s+week|bi-?weekly|every\s+other\s+week|monthly|every\s+month|yearly|annually|every\s+year)\b/i, (m) => {
+    const word = m[1].toLowerCase().replace(/\s+/g, ' ');
+    if (word === 'every weekday' || word === 'weekdays') {
+      result.recurrence = { frequency: 'WEEKLY', interval: 1, byDay: ['MO', 'TU', 'WE', 'TH', 'FR'], until: null, count: null };
+      return;
+    }
+    const frequency = /day|daily/.test(word) ? 'DAILY' : /week/.test(word) ? 'WEEKLY' : /month/.test(word) ? 'MONTHLY' : 'YEARLY';
+    const interval = /bi|other/.test(word) ? 2 : 1;
+    result.recurrence = { frequency, interval, byDay: [], until: null, count: null };
+  });
+  return result;
+}
+
+function extractDate(seg, today) {
+  let date = null;
+  const take = (d) => {
+    if (date || !d || !isValidDate(d)) return false;
+    date = d;
+    return true;
+  };
+
+  // 2025-09-23
+  claim(seg, /\b(\d{4})-(\d{1,2})-(\d{1,2})\b/, (m) => take({ y: +m[1], m: +m[2], d: +m[3] }));
+  // Tuesday, November 3, 2026 / Nov 3rd / November 3 2026 (weekday prefix is swallowed)
+  claim(seg, new RegExp(`\\b(?:${WEEKDAY},?\\s+)?${MONTH}\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'i'), (m) => {
+    const mon = monthIndex(m[2]);
+    const day = +m[3];
+    return take(m[4] ? { y: +m[4], m: mon, d: day } : upcomingYear(today, mon, day));
+  });
+  // 3 November 2026 / 3rd of Nov
+  claim(seg, new RegExp(`\\b(?:${WEEKDAY},?\\s+)?(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}\\.?\\b(?:,?\\s+(\\d{4}))?`, 'i'), (m) => {
+    const mon = monthIndex(m[3]);
+    const day = +m[2];
+    return take(m[4] ? { y: +m[4], m: mon, d: day } : upcomingYear(today, mon, day));
+  });
+  // 11/3/2026, 11/3/26, 11/3 (US month/day)
+  claim(seg, /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/, (m) => {
+    const mon = +m[1];
+    const day = +m[2];
+    return take(m[3] ? { y: fullYear(m[3]), m: mon, d: day } : upcomingYear(today, mon, day));
+  });
+  // first Tuesday of November (one-off)
+  claim(seg, new RegExp(`\\b(?:the\\s+)?${ORDINAL}\\s+${WEEKDAY}\\s+(?:of|in)\\s+${MONTH}\\b`, 'i'), (m) => {
+    const mon = monthIndex(m[3]);
+    const year = mon < today.m ? today.y + 1 : today.y;
+    const wd = weekdayIndex(m[2]);
+    let d = nthWeekdayOfMonth(year, mon, wd, ORDINALS[m[1].toLowerCase()]);
+    if (d && cmp(d, today) < 0) d = nthWeekdayOfMonth(year + 1, mon, wd, ORDINALS[m[1].toLowerCase()]);
+    return take(d);
+  });
+  // a week from Thursday / a week from today
+  claim(seg, new RegExp(`\\b(?:a|one)\\s+week\\s+from\\s+(?:${WEEKDAY}|(today|tomorrow))\\b`, 'i'), (m) => {
+    const base = m[1] ? nextWeekday(today, weekdayIndex(m[1])) : addDays(today, m[2].toLowerCase() === 'tomorrow' ? 1 : 0);
+    return take(addDays(base, 7));
+  });
+  // in 3 days / in two weeks
+  claim(seg, /\bin\s+(\d+|a|an|one|two|three|four|five|six|seven|eight|nine|ten)\s+(day|week)s?\b/i, (m) => {
+    const n = SMALL_NUMBERS[m[1].toLowerCase()] || parseInt(m[1], 10);
+    return take(addDays(today, m[2].toLowerCase() === 'week' ? n * 7 : n));
+  });
+  // day after tomorrow / tomorrow / today / tonight
+  claim(seg, /\b(?:the\s+)?(day\s+after\s+tomorrow|tomorrow|tmrw|today|tonight|this\s+(?:evening|afternoon|morning))\b/i, (m) => {
+    const w = m[1].toLowerCase();
+    if (w.startsWith('day')) return take(addDays(today, 2));
+    if (w.startsWith('tom') || w === 'tmrw') return take(addDays(today, 1));
+    if (w === 'tonight' || w.includes('evening')) seg.eveningHint = true;
+    return take(today);
+  });
+  // next Friday / this Friday / Friday
+  claim(seg, new RegExp(`\\b(?:(this|next|coming|on)\\s+)?${WEEKDAY}\\b`, 'i'), (m) => {
+    const wd = weekdayIndex(m[2]);
+    return take(nextWeekday(today, wd, (m[1] || '').toLowerCase() !== 'next'));
+  });
+  return date;
+}
+
+function extractTime(seg) {
+  let time = null;
+  const eveningHint = () => seg.eveningHint || /\b(tonight|evening|dinner|pm)\b/i.test(seg.text);
+
+  // Ranges: 7–9pm, 10:00 - 11:30 AM, 7pm to 9pm, from 10am until noon
+  const rangeRe = new RegExp(`(?:\\b(?:from|at)\\s+)?\\b${CLOCK}\\s*(?:-|–|—|to|until|till|through)\\s*${CLOCK}`, 'i');
+  claim(seg, rangeRe, (m) => {
+    if (time) return false;
+    const [, h1, m1, mer1, w1, h2, m2, mer2, w2] = m;
+    // A bare "3-5" is more likely a date or score than a time range
+    if (!mer1 && !mer2 && !m1 && !m2 && !w1 && !w2) return false;
+    let start = clockToMinutes(h1, m1, mer1, w1);
+    let end = clockToMinutes(h2, m2, mer2, w2);
+    if (start === null || end === null) return false;
+    if (!mer1 && !w1 && mer2) {
+      // "7–9pm": the start shares the end's meridiem unless that would put it after the end ("11–1pm")
+      const shared = clockToMinutes(h1, m1, mer2, null);
+      start = shared <= end ? shared : start;
+    } else if (!mer1 && !w1) {
+      start = assumeMeridiem(start, false, eveningHint());
+    }
+    if (!mer2 && !w2) {
+      end = assumeMeridiem(end, false, eveningHint());
+      if (end <= start && end + 12 * 60 > start) end += 12 * 60;
+    }
+    time = { start, end };
+    seg.timeEnd = m.index + m[0].length;
+  });
+  if (time) return time;
+
+  // Single times: 2:30 PM, 2pm, noon, 14:00, "at 7"
+  const single = [
+    new RegExp(`(?:\\b(?:at|@)\\s*)?\\b(\\d{1,2})(?:[:.](\\d{2}))?\\s*${MERIDIEM}(?![a-z])`, 'i'),
+    /(?:\b(?:at|@)\s*)?\b(noon|midnight)\b/i,
+    /(?:\b(?:at|@)\s*)?\b(\d{1,2}):(\d{2})\b/,
+    /\b(?:at|@)\s*(\d{1,2})\b(?!\s*(?:st|nd|rd|th|%|\/|-|\d))/i,
+  ];
+  single.forEach((re, i) => {
+    claim(seg, re, (m) => {
+      if (time) return false;
+      let start;
+      if (i === 0) start = clockToMinutes(m[1], m[2], m[3], null);
+      else if (i === 1) start = clockToMinutes(null, null, null, m[1]);
+      else start = assumeMeridiem(clockToMinutes(m[1], m[2], null, null), false, eveningHint());
+      if (start === null) return false;
+      time = { start, end: null };
+      seg.timeEnd = m.index + m[0].length;
+    });
+  });
+  return time;
+}
+
+function extractDuration(seg) {
+  let minutes = null;
+  const num = (v) => SMALL_NUMBERS[String(v).toLowerCase()] || parseFloat(v);
+  const rules = [
+    [/\bfor\s+(?:an?|one)\s+hour\s+and\s+a\s+half\b/i, () => 90],
+    [/\bfor\s+half\s+an\s+hour\b/i, () => 30],
+    [/\bfor\s+(\d+(?:\.\d+)?|an?|one|two|three|four|five|six)\s*(?:hours?|hrs?|h)\b(?:\s*(?:and\s+)?(\d+)\s*(?:minutes?|mins?|m)\b)?/i,
+      (m) => Math.round(num(m[1]) * 60) + (m[2] ? parseInt(m[2], 10) : 0)],
+    [/\bfor\s+(\d+)\s*(?:minutes?|mins?|m)\b/i, (m) => parseInt(m[1], 10)],
+    [/\((\d+)\s*(?:minutes?|mins?)\)/i, (m) => parseInt(m[1], 10)],
+  ];
+  for (const [re, fn] of rules) {
+    claim(seg, re, (m) => {
+      if (minutes !== null) return false;
+      minutes = fn(m);
+    });
+  }
+  return minutes;
+}
+
+const NOT_A_PLACE = new RegExp(`^(?:${MONTH}|${WEEKDAY}|noon|midnight|the\\s+(?:morning|afternoon|evening))\\b`, 'i');
+
+// Unambiguous zones (IANA names, UTC offsets, "Time zone:" lines) anywhere; abbreviations and
+// spelled-out names ("2pm ET", "7pm (Pacific Time)") only right after the time.
+function extractTimeZone(seg) {
+  let zone = null;
+  const take = (raw) => {
+    if (zone) return false;
+    zone = resolveTimeZone(raw);
+    return !!zone;
+  };
+  claim(seg, /^\s*(?:time\s*zone|tz)\s*[:\-–]\s*(.+)$/im, (m) => take(m[1]));
+  claim(seg, /\ball\s+times\s+(?:are\s+|listed\s+|shown\s+)?(?:in\s+)?([^.,;\n]+)/i, (m) => take(m[1]));
+  claim(seg, /\b(?:UTC|GMT)\s*[+\-−]\s*\d{1,2}(?::?\d{2})?\b/, (m) => take(m[0]));
+  claim(seg, /\b[A-Z][a-z]+\/[A-Z][A-Za-z_]+(?:\/[A-Z][A-Za-z_]+)?\b/, (m) => take(m[0]));
+  if (zone || seg.timeEnd === undefined) return zone;
+
+  const named = '(?:[Ee]astern|[Cc]entral|[Mm]ountain|[Pp]acific|[Aa]laska|[Hh]awaii)(?:\\s+(?:[Ss]tandard|[Dd]aylight))?(?:\\s+[Tt]ime)?';
+  const re = new RegExp(`^\\s*\\(?\\s*(${ZONE_ABBREVIATIONS.join('|')}|${named})\\b\\s*\\)?`);
+  const m = seg.work.slice(seg.timeEnd).match(re);
+  if (m && take(m[1])) {
+    const from = seg.timeEnd;
+    seg.work = seg.work.slice(0, from) + ' '.repeat(m[0].length) + seg.work.slice(from + m[0].length);
+  }
+  return zone;
+}
+
+function extractLocation(seg) {
+  let location = null;
+  // Labelled lines win: "Location: ...", "Where: ...", "Venue - ..."
+  claim(seg, /^\s*(?:location|where|venue|place|address)\s*[:\-–]\s*(.+)$/im, (m) => {
+    if (location) return false;
+    location = m[1].trim();
+  });
+  if (location) return location;
+
+  // "at Clydes of Chevy Chase", "in Conference Room 4", "@ The Loft"
+  const words = "[A-Z0-9][\\w'’&.\\-]*";
+  const re = new RegExp(`\\b(?:at|in|@)\\s+((?:the\\s+)?${words}(?:\\s+(?:of|the|and|&|on|at|de|la|${words}))*)`, 'g');
+  claim(seg, re, (m) => {
+    if (location) return false;
+    const place = m[1].replace(/[.,;:]+$/, '').replace(/\s+(?:of|the|and|&|on|at|de|la)$/i, '').trim();
+    if (!place || NOT_A_PLACE.test(place) || /^\d+$/.test(place)) return false;
+    location = place;
+  });
+  return location;
+}
+
+const FILLER = [
+  /^(?:let'?s|lets)\s+(?:meet|get together|catch up)\s+(?:to|for)\s+/i,
+  /^(?:let'?s|lets)\s+/i,
+  /^(?:please\s+)?join\s+us\s+(?:for|at)\s+/i,
+  /^(?:reminder|note|fyi|save the date)\s*[:\-–]\s*/i,
+  /^(?:we(?:'re| are)\s+(?:having|hosting)|there(?:'s| is)\s+(?:a|an))\s+/i,
+];
+
+function cleanTitle(text) {
+  let t = text
+    .replace(/\s+/g, ' ')
+    .replace(/\s+([,.;:!?])/g, '$1')
+    .trim();
+  // Drop connectors left dangling by removed dates/times/places
+  for (let i = 0; i < 4; i++) {
+    t = t
+      .replace(/^(?:[,.;:\-–—|]+|\b(?:on|at|from|to|in|by|until|and|for)\b)\s*/i, '')
+      .replace(/\s*(?:[,;:\-–—|(]+|\b(?:on|at|from|to|in|by|until|and|for|the)\b)\s*$/i, '')
+      .replace(/[.!?]+$/, '')
+      .trim();
+  }
+  for (const re of FILLER) t = t.replace(re, '');
+  t = t.replace(/\(\s*\)/g, '').trim();
+  return t ? t.charAt(0).toUpperCase() + t.slice(1) : '';
+}
+
+// --------------------------- segment → event ---------------------------
+
+function parseSegment(text, today, context = {}) {
+  const seg = { text, work: text, eveningHint: false };
+  const rec = extractRecurrence(seg, today);
+  const explicitDate = extractDate(seg, today);
+  const time = extractTime(seg);
+  const duration = extractDuration(seg);
+  const timeZone = extractTimeZone(seg);
+  const location = extractLocation(seg);
+
+  return {
+    date: explicitDate || rec.date || null,
+    explicitDate: !!explicitDate,
+    time,
+    duration,
+    timeZone,
+    location,
+    recurrence: rec.recurrence,
+    // What is left once dates, times and places are blanked out
+    rest: seg.work,
+    ...context,
+  };
+}
+
+function buildEvent(parts, { now, today, titleFallback = '' }) {
+  let date = parts.date;
+  const hasTime = !!parts.time;
+  if (!date && hasTime) {
+    // Time only: today, or tomorrow if that time has already passed
+    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    date = parts.time.start > nowMinutes ? today : addDays(today, 1);
+  }
+
+  const title = cleanTitle(parts.title ?? parts.rest) || titleFallback;
+  if (!date) {
+    return { title, start: null, end: null, location: parts.location || null, hasTime: false, recurrence: parts.recurrence, timeZone: null };
+  }
+
+  let start;
+  let end = null;
+  if (hasTime) {
+    start = isoLocal(date, parts.time.start);
+    let endMinutes = parts.time.end;
+    if (endMinutes === null && parts.duration) endMinutes = parts.time.start + parts.duration;
+    if (endMinutes !== null) {
+      const endDate = addDays(date, Math.floor(endMinutes / 1440));
+      end = isoLocal(endDate, ((endMinutes % 1440) + 1440) % 1440);
+    }
+  } else {
+    start = isoLocal(date, 0);
+  }
+  const timeZone = hasTime ? parts.timeZone || null : null;
+  return { title, start, end, location: parts.location || null, hasTime, recurrence: parts.recurrence, timeZone };
+}
+
+const hasWhen = (p) => !!(p.date || p.time || p.recurrence);
+
+// Agenda-style text: one event per line with a time, each inheriting the last date heading seen
+function parseAgenda(lines, now, today) {
+  const parsed = lines.map((line) => parseSegment(line, today));
+  const timed = parsed.filter((p) => p.time);
+  if (timed.length < 2) return null;
+
+  const events = [];
+  let currentDate = null;
+  let lastTitleLine = '';
+  let sharedLocation = null;
+  let sharedZone = null;
+  parsed.forEach((p) => {
+    if (p.date && p.explicitDate) currentDate = p.date;
+    if (p.location && !p.time) sharedLocation = p.location;
+    if (p.timeZone && !p.time) sharedZone = p.timeZone;
+    const leftover = cleanTitle(p.rest);
+    if (!p.time) {
+      if (leftover && !p.date) lastTitleLine = leftover;
+      return;
+    }
+    events.push(buildEvent(
+      { ...p, date: p.date || currentDate, location: p.location || sharedLocation, timeZone: p.timeZone || sharedZone, title: leftover || lastTitleLine },
+      { now, today, titleFallback: 'New Event' }
+    ));
+  });
+  return events;
+}
+
+// Main entry: text → { events: [...] }. `now` is injectable for testing.
+export function parseEventsLocally(text, now = new Date()) {
+  const today = ymdOf(now);
+  const source = String(text || '').replace(/\r\n?/g, '\n');
+  const lines = source.split('\n').map((l) => l.trim()).filter(Boolean);
+  if (!lines.length) return { events: [] };
+
+  const agenda = lines.length > 1 ? parseAgenda(lines, now, today) : null;
+  if (agenda && agenda.length > 1) return { events: agenda };
+
+  // Single event: parse the whole text at once, but take the title from the first line that is
+  // not just a date/time/place (flyers usually lead with the event name).
+  const whole = parseSegment(lines.join('\n'), today);
+  if (!hasWhen(whole)) return { events: [] };
+
+  let title;
+  if (lines.length > 1) {
+    title = lines.map((l) => cleanTitle(parseSegment(l, today).rest)).find(Boolean) || '';
+  }
+  return { events: [buildEvent({ ...whole, title }, { now, today, titleFallback: 'New Event' })] };
+}
@@ -1,18 +1,43 @@
 // modal.js - Popup window logic
 
+import { normalizeRecurrence, describeRecurrence } from './recurrence.js';
+import { buildIcs, icsFilename, isExportable, saveIcsFile } from './ics.js';
+import { EVENT_COLORS, parseReminderList } from './google_calendar.js';
+import { localTimeZone, resolveTimeZone, zonedTimeToUtc, utcToZonedTime, zoneAbbreviation, listTimeZones } from './timezones.js';
+import { CALENDAR_TARGETS, DEFAULT_TARGET, getTarget, buildTargetUrl } from './calendar_targets.js';
+import { saveCapture, updateCapture, getCapture, addSubmission, makeThumbnail } from './history_store.js';
+import { preprocessImage } from './preprocess.js';
+import { describeImageSize } from './image_budget.js';
+import { FAILURE_LABELS } from './provider_fallback.js';
+
 console.log('[T2C Modal][DEBUG] modal.js script loaded (top-level)');
 window.addEventListener('unload', () => {
   console.log('[T2C Modal][DEBUG] Popup window unloading (unload event)');
 });
 
 let capturedImageData = null;
+let capturedSource = null; // page the image came from, kept for "Re-run OCR"
+let processedImageData = null; // what OCR actually saw, when preprocessing changed the capture
 let logVisible = false;
+let currentOcrRequestId = null; // matches EC_OCR_PROGRESS updates to the OCR call in flight
+let pendingRequestId = null; // OCR or parse call the "Cancel request" button aborts
+let currentHistoryId = null; // history entry for this capture; submissions are appended to it
+let historySave = Promise.resolve(); // pending history writes, in order; they set currentHistoryId
+let keysMissing = false; // OCR/LLM captures need setup; page data and history still open
+
+// Events extracted from the capture. The form always edits events[selectedIndex].
+let events = [];
+let selectedIndex = -1;
+let defaultTarget = DEFAULT_TARGET; // options.html "Default calendar"; each event may override it
+let gcalConfigured = false;
 
 // DOM elements
 const elements = {
   status: document.getElementById('status'),
   methods: document.getElementById('methods'),
   image: document.getElementById('captured-image'),
+  imagePreview: document.getElementById('image-preview'),
+  previewToggle: document.getElementById('preview-toggle'),
   title: document.getElementById('event-title'),
   startDate: document.getElementById('start-date'),
   startTime: document.getElementById('start-time'),
@@ -20,15 +45,48 @@ const elements = {
   endTime: document.getElementById('end-time'),
   allDay: document.getElementById('all-day'),
   location: document.getElementById('location'),
+  fieldFlagsHint: document.getElementById('field-flags-hint'),
   ocrText: document.getElementById('ocr-text'),
+  ocrMeta: document.getElementById('ocr-meta'),
+  ocrRerun: document.getElementById('ocr-rerun'),
   logText: document.getElementById('log-text'),
   logSection: document.getElementById('log-section'),
   addBtn: document.getElementById('add-to-calendar'),
+  exportIcsBtn: document.getElementById('export-ics'),
+  target: document.getElementById('calendar-target'),
   showLogBtn: document.getElementById('show-log'),
   configBtn: document.getElementById('config'),
+  historyBtn: document.getElementById('show-history'),
   cancelBtn: document.getElementById('cancel'),
+  cancelRequestBtn: document.getElementById('cancel-request'),
   errorMsg: document.getElementById('modal-error'),
-  apiStatus: document.getElementById('api-status')
+  apiStatus: document.getElementById('api-status'),
+  eventList: document.getElementById('event-list'),
+  eventsCount: document.getElementById('events-count'),
+  newEventBtn: document.getElementById('new-event'),
+  recurrenceRow: document.getElementById('recurrence-row'),
+  recurFreq: document.getElementById('recur-freq'),
+  recurIntervalGroup: document.getElementById('recur-interval-group'),
+  recurInterval: document.getElementById('recur-interval'),
+  recurUnit: document.getElementById('recur-unit'),
+  recurDays: document.getElementById('recur-days'),
+  recurMonthly: document.getElementById('recur-monthly'),
+  recurSetpos: document.getElementById('recur-setpos'),
+  recurWeekday: document.getElementById('recur-weekday'),
+  recurEnd: document.getElementById('recur-end'),
+  recurUntil: document.getElementById('recur-until'),
+  recurCountGroup: document.getElementById('recur-count-group'),
+  recurCount: document.getElementById('recur-count'),
+  timeZone: document.getElementById('event-tz'),
+  tzOptions: document.getElementById('tz-options'),
+  tzHint: document.getElementById('tz-hint'),
+  gcalRow: document.getElementById('gcal-row'),
+  gcalDirect: document.getElementById('gcal-direct'),
+  gcalCalendar: document.getElementById('gcal-calendar'),
+  gcalColor: document.getElementById('gcal-color'),
+  gcalReminders: document.getElementById('gcal-reminders'),
+  gcalSignIn: document.getElementById('gcal-signin'),
+  gcalLink: document.getElementById('gcal-link')
 };
 
 // Utilities
@@ -48,43 +106,104 @@ function logMessage(msg) {
   } catch {}
 }
 
+// Status-bar "OCR: … • Parse: …" line. Starts as the configured providers and is updated with
+// the ones that actually produced the result when a fallback took over.
+const shownMethods = { ocr: null, parse: null };
+function showMethods(update) {
+  Object.assign(shownMethods, update);
+  if (!elements.methods) return;
+  const fmt = (m) => (m?.provider ? `${m.provider}${m.model ? ` (${m.model})` : ''}` : '—');
+  elements.methods.textContent = `OCR: ${fmt(shownMethods.ocr)} • Parse: ${fmt(shownMethods.parse)}`;
+}
+
+function showConfiguredMethods(settings) {
+  showMethods({
+    ocr: { provider: settings.ocrMethod, model: settings.ocrModel || '' },
+    parse: { provider: settings.parseMethod, model: settings.parseModel || '' },
+  });
+}
+
 // Settings
 async function getSettings() {
   try {
     const res = await chrome.runtime.sendMessage({ type: 'EC_GET_SETTINGS' });
     if (res?.ok) {
       logMessage(`Settings loaded: OCR=${res.settings.ocrMethod}, Parse=${res.settings.parseMethod}`);
-      if (elements.methods) {
-        elements.methods.textContent = `OCR: ${res.settings.ocrMethod} • Parse: ${res.settings.parseMethod}`;
-      }
+      showConfiguredMethods(res.settings);
       return res.settings;
     }
   } catch (e) {
     logMessage(`Failed to get settings: ${e.message}`);
   }
   const fallback = { ocrMethod: 'tesseract', parseMethod: 'local' };
-  if (elements.methods) {
-    elements.methods.textContent = `OCR: ${fallback.ocrMethod} • Parse: ${fallback.parseMethod}`;
-  }
+  showConfiguredMethods(fallback);
   logMessage(`Using default settings: OCR=${fallback.ocrMethod}, Parse=${fallback.parseMethod}`);
   return fallback;
 }
 
-// API calls
-async function runOcr(provider, dataUrl) {
+// API calls. Each runs in the service worker under its requestId; while one is pending the
+// "Cancel request" button can abort it there.
+async function sendProviderRequest(message, failure) {
+  pendingRequestId = message.requestId;
+  if (elements.cancelRequestBtn) elements.cancelRequestBtn.hidden = false;
+  try {
+    const res = await chrome.runtime.sendMessage(message);
+    if (res?.cancelled) throw Object.assign(new Error('Cancelled'), { cancelled: true });
+    if (!res?.ok) throw new Error(res?.error || failure);
+    if (res.requestId && res.requestId !== message.requestId) throw new Error(`Stale ${message.type === 'EC_RUN_OCR' ? 'OCR' : 'parse'} response`);
+    return res;
+  } finally {
+    pendingRequestId = null;
+    if (elements.cancelRequestBtn) elements.cancelRequestBtn.hidden = true;
+  }
+}
+
+function cancelPendingRequest() {
+  if (!pendingRequestId) return;
+  logMessage(`Cancelling request ${pendingRequestId}.`);
+  chrome.runtime.sendMessage({ type: 'EC_CANCEL_REQUEST', requestId: pendingRequestId }).catch(() => {});
+}
+
+async function runOcr(provider, dataUrl, { bypassCache = false } = {}) {
   const requestId = rid();
-  const res = await chrome.runtime.sendMessage({ type: 'EC_RUN_OCR', provider, dataUrl, requestId });
-  if (!res?.ok) throw new Error(res?.error || 'OCR failed');
-  if (res.requestId && res.requestId !== requestId) throw new Error('Stale OCR response');
-  return res.text || '';
+  currentOcrRequestId = requestId;
+  try {
+    const res = await sendProviderRequest({ type: 'EC_RUN_OCR', provider, dataUrl, requestId, bypassCache }, 'OCR failed');
+    return { text: res.text || '', debug: res.debug || {} };
+  } finally {
+    currentOcrRequestId = null;
+  }
+}
+
+// Direct vision parse (options → "Direct vision parse"): one call returns both the transcript for
+// the OCR textarea and the parsed events
+async function runVisionParse(provider, dataUrl) {
+  const res = await sendProviderRequest({ type: 'EC_RUN_VISION_PARSE', provider, dataUrl, requestId: rid() }, 'Vision parse failed');
+  return { text: res.text || '', result: res.result, debug: res.debug || {} };
+}
+
+// "fallback after gemini-vision (rate limited), openai-vision (server error)"
+function describeFallbacks(debug) {
+  const failed = debug?.fallbacks || [];
+  if (!failed.length) return '';
+  return `fallback after ${failed.map((f) => `${f.provider} (${FAILURE_LABELS[f.kind] || 'failed'})`).join(', ')}`;
+}
+
+// One-line summary of how the OCR text was produced, shown above the textarea
+function describeOcr(debug) {
+  if (debug.provider === 'structured') return `Structured data on page (${debug.model || 'no OCR'})`;
+  if (debug.provider === 'dom') return 'Page text under the selection (no OCR)';
+  const label = debug.mode === 'direct' ? 'OCR + parse in one call' : 'OCR';
+  const parts = [`${label}: ${debug.provider || 'unknown'}${debug.model ? ` (${debug.model})` : ''}`];
+  if (typeof debug.confidence === 'number') parts.push(`confidence ${Math.round(debug.confidence)}%`);
+  if (debug.cache === 'hit') parts.push(`cached ${new Date(debug.cachedAt).toLocaleString()}`);
+  if (describeFallbacks(debug)) parts.push(describeFallbacks(debug));
+  return parts.join(' • ');
 }
 
 async function runParse(provider, text) {
-  const requestId = rid();
-  const res = await chrome.runtime.sendMessage({ type: 'EC_RUN_PARSE', provider, text, requestId });
-  if (!res?.ok) throw new Error(res?.error || 'Parse failed');
-  if (res.requestId && res.requestId !== requestId) throw new Error('Stale parse response');
-  return res.result;
+  const res = await sendProviderRequest({ type: 'EC_RUN_PARSE', provider, text, requestId: rid() }, 'Parse failed');
+  return { result: res.result, debug: res.debug || {} };
 }
 
 // Event handlers
@@ -92,6 +211,7 @@ elements.allDay.addEventListener('change', () => {
   const allDay = elements.allDay.checked;
   elements.startTime.disabled = allDay;
   elements.endTime.disabled = allDay;
+  if (elements.timeZone) elements.timeZone.disabled = allDay;
   if (allDay) {
     elements.startTime.value = '';
     elements.endTime.value = '';
@@ -124,58 +244,767 @@ elements.configBtn?.addEventListener('click', () => {
   chrome.runtime.sendMessage({ type: 't2c.openOptions' });
 });
 
+elements.historyBtn?.addEventListener('click', () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL('history.html') });
+});
+
 elements.cancelBtn?.addEventListener('click', () => {
   logMessage('Cancel button clicked, closing window.');
+  cancelPendingRequest();
   window.close();
 });
 
-elements.addBtn.addEventListener('click', () => {
-  const title = elements.title.value || 'New Event';
-  const location = elements.location.value || '';
-  const allDay = elements.allDay.checked;
+elements.cancelRequestBtn?.addEventListener('click', cancelPendingRequest);
+
+// Shared by the capture pipelines; a cancelled request is not an error worth saving
+function showProcessingError(e) {
+  if (elements.apiStatus) elements.apiStatus.textContent = '';
+  if (e.cancelled) {
+    logMessage('=== PROCESSING CANCELLED ===');
+    elements.status.textContent = 'Cancelled';
+    return false;
+  }
+  logMessage('=== PROCESSING ERROR ===');
+  logMessage(`[ERROR] ${e.message}`);
+  elements.status.textContent = 'Processing failed - check log for details';
+  if (elements.errorMsg) elements.errorMsg.textContent = `Error: ${e.message}`;
+  return true;
+}
+
+// --- Event list ---------------------------------------------------------------
+
+function blankEvent() {
+  return { title: '', startDate: '', startTime: '', endDate: '', endTime: '', allDay: false, location: '', recurrence: null, timeZone: localTimeZone(), target: defaultTarget, added: false };
+}
+
+// "2026-11-03T14:00:00[-05:00]" → wall clock as written, plus, when there is an offset, the
+// instant it denotes and the zone that offset implies. An offset that matches the browser zone
+// at that instant maps to the browser zone itself. Other strings fall back to Date parsing in
+// the browser zone.
+function splitIsoDateTime(value) {
+  const m = String(value).match(/^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}:\d{2})(?::\d{2}(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+  if (m) {
+    const time = m[2] || '00:00';
+    if (!m[3]) return { date: m[1], time, instant: null, offsetZone: null };
+    const instant = new Date(Date.parse(`${m[1]}T${time}:00Z`) - offsetMinutes(m[3]) * 60000);
+    return { date: m[1], time, instant, offsetZone: offsetToZone(m[3], instant) };
+  }
+  const d = new Date(value);
+  return isNaN(d) ? null : { date: fmtDate(d), time: fmtTime(d), offsetZone: null };
+}
+
+// "-05:00" / "+0530" / "Z" → minutes east of UTC
+function offsetMinutes(offset) {
+  const om = /^([+-])(\d{2}):?(\d{2})$/.exec(offset);
+  return om ? (om[1] === '-' ? -1 : 1) * (parseInt(om[2], 10) * 60 + parseInt(om[3], 10)) : 0;
+}
+
+function offsetToZone(offset, instant) {
+  const minutes = offsetMinutes(offset);
+  if (!isNaN(instant) && minutes === -instant.getTimezoneOffset()) return localTimeZone();
+  return resolveTimeZone(/^z$/i.test(offset) ? 'UTC' : offset);
+}
+
+// Parser flags (event_schema.js) → the form fields they mark
+const FLAG_FIELDS = {
+  title: ['title'],
+  start: ['startDate', 'startTime'],
+  end: ['endDate', 'endTime'],
+  location: ['location'],
+  timeZone: ['timeZone'],
+};
+const FLAG_HINTS = {
+  inferred: 'Inferred by the parser, not read from the capture - check it',
+  missing: 'Not found in the capture',
+};
+
+// Parser output ({title,start,end,location,hasTime,timeZone,flags}) → form-shaped event
+function eventFromParsed(parsed) {
+  const ev = blankEvent();
+  ev.title = parsed.title || '';
+  ev.location = (parsed.location || '').replace(/\r?\n/g, ', ');
+  const sd = splitIsoDateTime(parsed.start || '');
+  const ed = splitIsoDateTime(parsed.end || '');
+  if (sd) {
+    ev.startDate = sd.date;
+    ev.startTime = sd.time;
+  }
+  if (ed) {
+    ev.endDate = ed.date;
+    ev.endTime = ed.time;
+  }
+  ev.timeZone = resolveTimeZone(parsed.timeZone) || sd?.offsetZone || localTimeZone();
+  ev.allDay = parsed.hasTime === false;
+  // A value written with an offset is an instant: show it as wall time in the form's zone, so an
+  // end with an offset of its own (a flight landing elsewhere, a "Z" time) is not misread
+  for (const [at, dateKey, timeKey] of [[sd, 'startDate', 'startTime'], [ed, 'endDate', 'endTime']]) {
+    if (ev.allDay || !at?.instant) continue;
+    ({ date: ev[dateKey], time: ev[timeKey] } = utcToZonedTime(at.instant, ev.timeZone));
+  }
+  ev.recurrence = normalizeRecurrence(parsed.recurrence);
+  // Imported .ics events keep their UID so a re-export updates the same event
+  if (parsed.uid) ev.uid = parsed.uid;
+  if (ev.allDay) {
+    ev.startTime = '';
+    ev.endTime = '';
+  }
+  ev.flags = {};
+  for (const [field, flag] of Object.entries(parsed.flags || {})) {
+    for (const key of FLAG_FIELDS[field] || []) {
+      if (!(ev.allDay && key.endsWith('Time'))) ev.flags[key] = flag;
+    }
+  }
+  return ev;
+}
+
+// Outline inferred/missing fields of the selected event; a flag goes once the user edits the field
+function showFieldFlags(ev) {
+  let flagged = false;
+  for (const key of Object.values(FLAG_FIELDS).flat()) {
+    const el = elements[key];
+    if (!el) continue;
+    const flag = ev?.flags?.[key];
+    el.classList.toggle('field-inferred', flag === 'inferred');
+    el.classList.toggle('field-missing', flag === 'missing');
+    if (flag) el.title = FLAG_HINTS[flag];
+    else el.removeAttribute('title');
+    flagged ||= !!flag;
+  }
+  if (elements.fieldFlagsHint) elements.fieldFlagsHint.hidden = !flagged;
+}
+
+function clearFieldFlag(key) {
+  const ev = events[selectedIndex];
+  if (!ev?.flags?.[key]) return;
+  delete ev.flags[key];
+  showFieldFlags(ev);
+}
+
+function readForm(ev) {
+  ev.title = elements.title.value;
+  ev.startDate = elements.startDate.value;
+  ev.startTime = elements.startTime.value;
+  ev.endDate = elements.endDate.value;
+  ev.endTime = elements.endTime.value;
+  ev.allDay = elements.allDay.checked;
+  ev.location = elements.location.value;
+  ev.recurrence = readRecurrenceForm();
+  // Keep the last valid zone while the user is still typing one
+  const zone = resolveTimeZone(elements.timeZone?.value);
+  if (zone) ev.timeZone = zone;
+  updateZoneHint(ev);
+}
+
+function fillForm(ev) {
+  const e = ev || blankEvent();
+  elements.title.value = e.title;
+  elements.startDate.value = e.startDate;
+  elements.startTime.value = e.startTime;
+  elements.endDate.value = e.endDate;
+  elements.endTime.value = e.endTime;
+  elements.location.value = e.location;
+  elements.allDay.checked = !!e.allDay;
+  elements.allDay.dispatchEvent(new Event('change'));
+  fillRecurrenceForm(e.recurrence);
+  if (elements.timeZone) elements.timeZone.value = e.timeZone || localTimeZone();
+  updateZoneHint(e);
+  if (elements.target) elements.target.value = e.target || defaultTarget;
+  updateTargetControls();
+  showFieldFlags(e);
+}
+
+// --- Time zone ---------------------------------------------------------------
+
+function populateTimeZones() {
+  if (!elements.tzOptions) return;
+  const frag = document.createDocumentFragment();
+  for (const tz of listTimeZones()) {
+    const opt = document.createElement('option');
+    opt.value = tz;
+    frag.append(opt);
+  }
+  elements.tzOptions.append(frag);
+}
+
+// Flag unknown zones and show what a foreign-zone time means locally
+function updateZoneHint(ev) {
+  if (!elements.tzHint || !elements.timeZone) return;
+  const typed = elements.timeZone.value.trim();
+  const valid = !typed || !!resolveTimeZone(typed);
+  elements.timeZone.classList.toggle('invalid', !valid);
+  if (!valid) {
+    elements.tzHint.textContent = 'Unknown time zone';
+    return;
+  }
+  const zone = ev?.timeZone || localTimeZone();
+  if (!ev?.startDate || !ev.startTime || ev.allDay || zone === localTimeZone()) {
+    elements.tzHint.textContent = zone === localTimeZone() ? 'Your time zone' : '';
+    return;
+  }
+  const at = zonedTimeToUtc(ev.startDate, ev.startTime, zone);
+  elements.tzHint.textContent = `${zoneAbbreviation(zone, at)} · ${fmtDate(at)} ${fmtTime(at)} your time`;
+}
+
+// --- Calendar target (per event) ---------------------------------------------------
+
+function populateTargets() {
+  if (!elements.target) return;
+  elements.target.innerHTML = '';
+  for (const [id, t] of Object.entries(CALENDAR_TARGETS)) {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = t.label;
+    elements.target.append(opt);
+  }
+  elements.target.value = defaultTarget;
+}
+
+function currentTarget() {
+  return events[selectedIndex]?.target || elements.target?.value || defaultTarget;
+}
+
+// The Calendar API controls only apply to Google
+function updateTargetControls() {
+  if (elements.gcalRow) elements.gcalRow.hidden = !gcalConfigured || currentTarget() !== 'google';
+}
+
+// --- Recurrence editor ------------------------------------------------------------
+
+function readRecurrenceForm() {
+  const frequency = elements.recurFreq.value;
+  if (!frequency) return null;
+  let byDay = [];
+  if (frequency === 'WEEKLY') {
+    byDay = [...elements.recurDays.querySelectorAll('input:checked')].map((c) => c.value);
+  } else if (frequency === 'MONTHLY' && elements.recurSetpos.value) {
+    byDay = [`${elements.recurSetpos.value}${elements.recurWeekday.value}`];
+  }
+  const end = elements.recurEnd.value;
+  return normalizeRecurrence({
+    frequency,
+    interval: elements.recurInterval.value,
+    byDay,
+    until: end === 'until' ? elements.recurUntil.value : null,
+    count: end === 'count' ? elements.recurCount.value : null,
+  });
+}
+
+function fillRecurrenceForm(rec) {
+  const r = normalizeRecurrence(rec);
+  elements.recurFreq.value = r?.frequency || '';
+  elements.recurInterval.value = r?.interval || 1;
+  const plainDays = (r?.byDay || []).filter((d) => /^[A-Z]{2}$/.test(d));
+  elements.recurDays.querySelectorAll('input').forEach((c) => { c.checked = plainDays.includes(c.value); });
+  const ordinal = (r?.byDay || []).map((d) => /^([+-]?\d+)([A-Z]{2})$/.exec(d)).find(Boolean);
+  elements.recurSetpos.value = ordinal ? String(parseInt(ordinal[1], 10)) : '';
+  if (ordinal) elements.recurWeekday.value = ordinal[2];
+  elements.recurEnd.value = r?.until ? 'until' : (r?.count ? 'count' : 'never');
+  elements.recurUntil.value = r?.until || '';
+  if (r?.count) elements.recurCount.value = r.count;
+  updateRecurrenceVisibility();
+}
+
+function updateRecurrenceVisibility() {
+  const freq = elements.recurFreq.value;
+  const repeats = !!freq;
+  const unit = { DAILY: 'days', WEEKLY: 'weeks', MONTHLY: 'months', YEARLY: 'years' }[freq] || '';
+  elements.recurUnit.textContent = unit;
+  elements.recurIntervalGroup.hidden = !repeats;
+  elements.recurDays.hidden = freq !== 'WEEKLY';
+  elements.recurMonthly.hidden = freq !== 'MONTHLY';
+  elements.recurWeekday.hidden = !elements.recurSetpos.value;
+  elements.recurEnd.hidden = !repeats;
+  elements.recurUntil.hidden = !repeats || elements.recurEnd.value !== 'until';
+  elements.recurCountGroup.hidden = !repeats || elements.recurEnd.value !== 'count';
+}
+
+function eventLabel(ev) {
+  const when = ev.startDate ? `${ev.startDate}${ev.allDay || !ev.startTime ? '' : ' ' + ev.startTime}` : 'no date';
+  const repeats = describeRecurrence(ev.recurrence);
+  const zone = ev.startTime && !ev.allDay && ev.timeZone && ev.timeZone !== localTimeZone()
+    ? ` ${zoneAbbreviation(ev.timeZone, zonedTimeToUtc(ev.startDate, ev.startTime, ev.timeZone))}`
+    : '';
+  return `${ev.title || 'Untitled event'} — ${when}${zone}${repeats ? ` · ${repeats}` : ''}`;
+}
+
+function renderEventList() {
+  const list = elements.eventList;
+  if (!list) return;
+  list.innerHTML = '';
+  events.forEach((ev, i) => {
+    const li = document.createElement('li');
+    li.className = 'event-item';
+    li.classList.toggle('selected', i === selectedIndex);
+    li.classList.toggle('added', !!ev.added);
+
+    const label = document.createElement('span');
+    label.className = 'event-label';
+    label.textContent = eventLabel(ev);
+    label.title = label.textContent;
+
+    const addOne = document.createElement('button');
+    addOne.className = 'btn-util';
+    addOne.textContent = 'Add';
+    addOne.title = 'Add this event to your calendar';
+    addOne.addEventListener('click', (e) => {
+      e.stopPropagation();
+      selectEvent(i);
+      addEventToCalendar(i);
+    });
+
+    const drop = document.createElement('button');
+    drop.className = 'btn-util';
+    drop.textContent = '✕';
+    drop.title = 'Drop this event';
+    drop.addEventListener('click', (e) => {
+      e.stopPropagation();
+      removeEvent(i);
+    });
+
+    li.append(label, addOne, drop);
+    li.addEventListener('click', () => selectEvent(i));
+    list.append(li);
+  });
+  if (elements.eventsCount) {
+    elements.eventsCount.textContent = events.length === 1 ? '1 event' : `${events.length || 'No'} events`;
+  }
+  elements.addBtn.disabled = selectedIndex < 0;
+  if (elements.exportIcsBtn) elements.exportIcsBtn.disabled = !events.length;
+}
+
+function selectEvent(i) {
+  if (i === selectedIndex) return;
+  selectedIndex = i;
+  fillForm(events[i]);
+  if (elements.gcalLink) {
+    elements.gcalLink.hidden = !events[i]?.link;
+    if (events[i]?.link) elements.gcalLink.href = events[i].link;
+  }
+  renderEventList();
+}
+
+function setEvents(list) {
+  events = list;
+  selectedIndex = -1;
+  if (events.length) {
+    selectEvent(0);
+  } else {
+    fillForm(null);
+    renderEventList();
+  }
+}
+
+function removeEvent(i) {
+  logMessage(`Dropped event ${i + 1}: ${eventLabel(events[i])}`);
+  events.splice(i, 1);
+  if (!events.length) {
+    selectedIndex = -1;
+    fillForm(null);
+  } else {
+    const next = i < selectedIndex ? selectedIndex - 1 : Math.min(selectedIndex, events.length - 1);
+    selectedIndex = -1;
+    selectEvent(Math.max(0, next));
+  }
+  renderEventList();
+}
+
+// Keep the selected event in sync with the form
+function syncSelectedFromForm() {
+  const ev = events[selectedIndex];
+  if (!ev) return;
+  readForm(ev);
+  renderEventList();
+}
+['title', 'startDate', 'startTime', 'endDate', 'endTime', 'allDay', 'location', 'timeZone'].forEach((key) => {
+  elements[key]?.addEventListener(key === 'allDay' ? 'change' : 'input', (e) => {
+    if (e.isTrusted) clearFieldFlag(key); // fillForm() fires synthetic events too
+    syncSelectedFromForm();
+  });
+});
+elements.target?.addEventListener('change', () => {
+  const ev = events[selectedIndex];
+  if (ev) ev.target = elements.target.value;
+  updateTargetControls();
+  renderEventList();
+});
+elements.recurrenceRow?.addEventListener('change', () => {
+  updateRecurrenceVisibility();
+  syncSelectedFromForm();
+});
+updateRecurrenceVisibility();
+
+elements.newEventBtn?.addEventListener('click', () => {
+  const ev = blankEvent();
+  // Start new rows on the same day as the current one, which is what agendas usually need
+  const current = events[selectedIndex];
+  if (current) {
+    ev.startDate = current.startDate;
+    ev.endDate = current.endDate || current.startDate;
+    ev.location = current.location;
+    ev.timeZone = current.timeZone;
+  }
+  events.push(ev);
+  logMessage('Added a blank event to the list.');
+  selectEvent(events.length - 1);
+  elements.title.focus();
+});
+
+// Event description: a marker line plus the OCR text, shared by every output
+function eventDetails() {
   const ocrText = elements.ocrText.value || '';
-  
-  // Create details with OCR text
   let details = 'Created by EventCapture';
   if (ocrText.trim()) {
     details += '\n' + ocrText;
   }
+  return details;
+}
+
+// Alert and return false if the event is missing what every calendar needs
+function checkEventComplete(ev) {
+  if (ev.allDay && !ev.startDate) {
+    alert('Please set a start date for an all-day event');
+    return false;
+  }
+  if (!ev.allDay && (!ev.startDate || !ev.startTime)) {
+    alert('Please set start time, end date, and end time, or check "All-day"');
+    return false;
+  }
+  return true;
+}
 
-  let url = 'https://calendar.google.com/calendar/render?action=TEMPLATE';
-  url += `&text=${encodeURIComponent(title)}&location=${encodeURIComponent(location)}&details=${encodeURIComponent(details)}`;
+// --- Google Calendar direct insert ---------------------------------------------------
 
-  if (allDay) {
-    const s = elements.startDate.value;
-    const e = elements.endDate.value || s;
-    if (!s) {
-      alert('Please set a start date for an all-day event');
-      return;
+function gcalDirectEnabled() {
+  return gcalConfigured && currentTarget() === 'google' && !!elements.gcalDirect?.checked;
+}
+
+async function loadGcalCalendars(selectedId, interactive = false) {
+  try {
+    const res = await chrome.runtime.sendMessage({ type: 'EC_GCAL_LIST_CALENDARS', interactive });
+    if (!res?.ok) throw new Error(res?.error || 'Could not load calendars');
+    elements.gcalCalendar.innerHTML = '';
+    for (const cal of res.calendars) {
+      const opt = document.createElement('option');
+      opt.value = cal.primary ? 'primary' : cal.id;
+      opt.textContent = cal.primary ? `${cal.summary} (primary)` : cal.summary;
+      elements.gcalCalendar.append(opt);
     }
-    const ed = new Date(e);
-    ed.setDate(ed.getDate() + 1);
-    const sd = s.replace(/-/g, '');
-    const ee = `${ed.getFullYear()}${z2(ed.getMonth()+1)}${z2(ed.getDate())}`;
-    url += `&dates=${sd}/${ee}`;
-  } else {
-    
-    const sD = elements.startDate.value;
-    const sT = elements.startTime.value;
-    const eD = elements.endDate.value || sD;
-    const eT = elements.endTime.value || sT;
-    if (!sD || !sT) {
-      alert('Please set start time, end date, and end time, or check "All-day"');
-      return;
+    if (selectedId && [...elements.gcalCalendar.options].some((o) => o.value === selectedId)) {
+      elements.gcalCalendar.value = selectedId;
     }
-    url += `&dates=${sD.replace(/-/g,'')}T${sT.replace(':','')}00/${eD.replace(/-/g,'')}T${eT.replace(':','')}00`;
+    elements.gcalSignIn.hidden = true;
+    logMessage(`Loaded ${res.calendars.length} Google calendar(s).`);
+  } catch (e) {
+    elements.gcalSignIn.hidden = false;
+    logMessage(`Google calendars not loaded: ${e.message}`);
+  }
+}
+
+function setupGcal(settings) {
+  gcalConfigured = !!settings.gcalConfigured;
+  updateTargetControls();
+  if (!elements.gcalRow || !gcalConfigured) return;
+  elements.gcalDirect.checked = !!settings.gcalDirectInsert;
+  elements.gcalReminders.value = settings.gcalReminders || '';
+  for (const color of EVENT_COLORS) {
+    const opt = document.createElement('option');
+    opt.value = color.id;
+    opt.textContent = `● ${color.name}`;
+    opt.style.color = color.hex;
+    elements.gcalColor.append(opt);
   }
-  
+  elements.gcalColor.value = settings.gcalColorId || '';
+  if (elements.gcalDirect.checked) loadGcalCalendars(settings.gcalCalendarId);
+
+  elements.gcalDirect.addEventListener('change', () => {
+    if (elements.gcalDirect.checked && elements.gcalCalendar.options.length <= 1) {
+      loadGcalCalendars(settings.gcalCalendarId);
+    }
+  });
+  elements.gcalSignIn.addEventListener('click', () => loadGcalCalendars(settings.gcalCalendarId, true));
+}
+
+async function insertEventViaApi(i) {
+  const ev = events[i];
+  if (!checkEventComplete(ev)) return;
+  elements.addBtn.disabled = true;
+  if (elements.apiStatus) elements.apiStatus.textContent = 'Adding to Google Calendar...';
+  try {
+    const res = await chrome.runtime.sendMessage({
+      type: 'EC_GCAL_INSERT',
+      event: ev,
+      calendarId: elements.gcalCalendar.value || 'primary',
+      colorId: elements.gcalColor.value || '',
+      reminders: parseReminderList(elements.gcalReminders.value),
+      description: eventDetails(),
+      timeZone: ev.timeZone || localTimeZone(),
+    });
+    if (!res?.ok) throw new Error(res?.error || 'Insert failed');
+    ev.added = true;
+    ev.link = res.htmlLink || '';
+    if (elements.gcalLink && ev.link) {
+      elements.gcalLink.href = ev.link;
+      elements.gcalLink.hidden = false;
+    }
+    elements.addBtn.classList.remove('btn-pulse');
+    elements.status.textContent = `Added "${ev.title || 'New Event'}" to Google Calendar`;
+    logMessage(`Inserted event ${i + 1} via Calendar API: ${res.htmlLink || res.id}`);
+    recordSubmission({ kind: 'api', target: 'google', count: 1, title: ev.title, link: ev.link });
+  } catch (e) {
+    logMessage(`[ERROR] Calendar API insert failed: ${e.message}`);
+    if (elements.errorMsg) elements.errorMsg.textContent = `Error: ${e.message}`;
+  } finally {
+    if (elements.apiStatus) elements.apiStatus.textContent = '';
+    renderEventList();
+  }
+}
+
+function addEventToCalendar(i) {
+  const ev = events[i];
+  if (!ev) return;
+  if (gcalDirectEnabled()) {
+    insertEventViaApi(i);
+    return;
+  }
+  if (!checkEventComplete(ev)) return;
+  const target = getTarget(ev.target);
+  if (ev.recurrence && !target.supportsRecurrence) {
+    logMessage(`${target.label} links cannot carry a repeat rule; set the recurrence there or use Export .ics.`);
+  }
+  const url = buildTargetUrl(ev.target, ev, { details: eventDetails() });
   window.open(url, '_blank');
+  ev.added = true;
+  logMessage(`Opened ${target.label} for event ${i + 1}: ${eventLabel(ev)}`);
+  recordSubmission({ kind: 'link', target: ev.target, count: 1, title: ev.title });
+  renderEventList();
+}
+
+elements.addBtn.addEventListener('click', () => {
+  addEventToCalendar(selectedIndex);
+});
+
+elements.exportIcsBtn?.addEventListener('click', async () => {
+  const exportable = events.filter(isExportable);
+  const skipped = events.length - exportable.length;
+  if (!exportable.length) {
+    alert('Please set a start date (and a start time, or check "All-day") before exporting');
+    return;
+  }
+  try {
+    const ics = buildIcs(exportable, { description: eventDetails() });
+    const filename = icsFilename(exportable);
+    await saveIcsFile(ics, filename);
+    logMessage(`Exported ${exportable.length} event(s) to ${filename}${skipped ? ` (skipped ${skipped} without a date/time)` : ''}`);
+    recordSubmission({ kind: 'ics', count: exportable.length, filename });
+  } catch (e) {
+    logMessage(`[ERROR] .ics export failed: ${e.message}`);
+    if (elements.errorMsg) elements.errorMsg.textContent = `Error: ${e.message}`;
+  }
 });
 
-// Main processing function
-async function processImage(imageDataUrl) {
+// --- Preprocessing preview ---------------------------------------------------------
+
+// Before/after switch over the preview; hidden when OCR saw the capture unchanged
+function setProcessedPreview(prepared) {
+  processedImageData = prepared?.dataUrl || null;
+  if (!elements.previewToggle) return;
+  elements.previewToggle.hidden = !processedImageData;
+  elements.previewToggle.title = prepared ? `Preprocessed: ${prepared.applied.join(', ')}` : '';
+  showPreview(processedImageData ? 'processed' : 'original');
+}
+
+function showPreview(view) {
+  const src = view === 'processed' && processedImageData ? processedImageData : capturedImageData;
+  if (src) elements.image.src = src;
+  elements.previewToggle?.querySelectorAll('button').forEach((b) => {
+    b.classList.toggle('active', b.dataset.view === view);
+  });
+}
+
+elements.previewToggle?.addEventListener('click', (e) => {
+  const view = e.target.closest('button')?.dataset.view;
+  if (view) showPreview(view);
+});
+
+// --- Capture history -------------------------------------------------------------
+
+// Save this capture; history problems are logged but never block the capture itself
+// A re-run of the same capture updates its entry instead of adding another
+function saveToHistory(fields, options) {
+  historySave = historySave.then(() => writeHistory(fields, options));
+  return historySave;
+}
+
+async function writeHistory(fields, { replace = false } = {}) {
+  try {
+    if (replace && currentHistoryId) {
+      await updateCapture(currentHistoryId, { error: null, ...fields });
+      logMessage(`Updated history entry ${currentHistoryId}.`);
+      return;
+    }
+    const thumbnail = capturedImageData ? await makeThumbnail(capturedImageData) : '';
+    const record = await saveCapture({ image: capturedImageData, thumbnail, ...fields });
+    currentHistoryId = record.id;
+    logMessage(`Saved capture to history (${record.id}).`);
+  } catch (e) {
+    logMessage(`[WARN] Could not save capture to history: ${e.message}`);
+  }
+}
+
+// Append an add/export to the history entry, along with the events as submitted. Waits for a
+// save still in progress, so an Add clicked right after parsing is not lost.
+async function recordSubmission(submission) {
+  const submitted = structuredClone(events);
+  await historySave;
+  if (!currentHistoryId) return;
+  addSubmission(currentHistoryId, submission, submitted)
+    .catch((e) => logMessage(`[WARN] Could not update history: ${e.message}`));
+}
+
+async function openFromHistory(id) {
+  const record = await getCapture(id);
+  if (!record) {
+    elements.status.textContent = 'That capture is no longer in history.';
+    return;
+  }
+  currentHistoryId = record.id;
+  capturedImageData = record.image || null;
+  capturedSource = record.source || null;
+  if (elements.ocrRerun) elements.ocrRerun.hidden = !record.image;
+  if (record.image) elements.image.src = record.image;
+  if (elements.imagePreview) elements.imagePreview.hidden = !record.image;
+  setProcessedPreview(null);
+  elements.ocrText.value = record.ocrText || '';
+  elements.ocrText.dispatchEvent(new Event('input'));
+  if (elements.ocrMeta) elements.ocrMeta.textContent = record.ocr ? describeOcr(record.ocr) : '';
+  // Re-opened events can be added again, so start them unmarked
+  setEvents((record.events || []).map((ev) => ({ ...blankEvent(), ...ev, added: false })));
+  elements.status.textContent = `Re-opened capture from ${new Date(record.createdAt).toLocaleString()}`;
+  logMessage(`Re-opened history entry ${record.id}.`);
+}
+
+// Parse step shared by image and text captures: fills the event list and status line. `direct`
+// is the { result, debug } of a direct vision parse, which already holds the events.
+async function parseIntoEvents(settings, text, direct = null) {
+  if (!direct) {
+    if (elements.apiStatus) elements.apiStatus.textContent = `Sending to ${settings.parseMethod}...`;
+    logMessage(`[DEBUG] Calling runParse... (Provider: ${settings.parseMethod}, Model: ${settings.parseModel || 'default'})`);
+  }
+  const { result: parsed, debug } = direct || await runParse(settings.parseMethod, text);
+  logMessage(`[DEBUG] Parsed result: ${JSON.stringify(parsed, null, 2)}`);
+  const validation = debug.validation;
+  if (validation) {
+    logMessage(`[WARN] Parser output failed the event schema: ${validation.errors.join('; ')}`);
+    logMessage(validation.repaired
+      ? 'Parser output fixed by a repair request.'
+      : `[WARN] Still invalid after a repair request, those fields were left empty: ${validation.remaining.join('; ')}`);
+  }
+  for (const f of debug.fallbacks || []) {
+    logMessage(`[WARN] Parse provider ${f.provider} failed (${FAILURE_LABELS[f.kind] || f.kind}): ${f.error}`);
+  }
+  const parse = { provider: debug.provider || settings.parseMethod, model: debug.model || settings.parseModel || '' };
+  if (debug.fallbacks?.length) logMessage(`Parsed with fallback provider ${parse.provider}.`);
+  showMethods({ parse });
+
+  // Clear API status
+  if (elements.apiStatus) elements.apiStatus.textContent = '';
+
+  // Use requestAnimationFrame to ensure the DOM is ready for updates, preventing race conditions.
+  const parsedEvents = Array.isArray(parsed?.events) ? parsed.events : (parsed ? [parsed] : []);
+  const formEvents = parsedEvents.map(eventFromParsed);
+  requestAnimationFrame(() => {
+    setEvents(formEvents);
+    logMessage(`[DEBUG] Event list populated with ${parsedEvents.length} parsed event(s).`);
+  });
+
+  elements.status.textContent = parsedEvents.length > 1
+    ? `Found ${parsedEvents.length} events - review each and click Add to Calendar`
+    : 'Ready - review and click Add to Calendar';
+  if (debug.fallbacks?.length) elements.status.textContent += ` (parsed by ${parse.provider}; ${describeFallbacks(debug)})`;
+  return { parsedEvents, formEvents, parse };
+}
+
+// Selected text from the context menu: no image, no OCR — straight to the parser
+async function processText(text, source = null) {
+  logMessage(`[DEBUG] processText called with ${text.length} characters`);
+  if (keysMissing) return;
+  capturedImageData = null;
+  if (elements.imagePreview) elements.imagePreview.hidden = true;
+  if (elements.ocrRerun) elements.ocrRerun.hidden = true;
+  setProcessedPreview(null);
+  elements.ocrText.value = text;
+  elements.ocrText.dispatchEvent(new Event('input'));
+  if (elements.ocrMeta) elements.ocrMeta.textContent = 'Selected text (no OCR)';
+  elements.status.textContent = 'Processing…';
+  if (elements.errorMsg) elements.errorMsg.textContent = '';
+  logMessage('=== PROCESSING START (selection) ===');
+  let historyFields = null;
+  try {
+    const settings = await getSettings();
+    historyFields = {
+      source,
+      ocrText: text,
+      ocr: { provider: 'selection', model: '' },
+      parse: { provider: settings.parseMethod, model: settings.parseModel || '' },
+    };
+    const { parsedEvents, formEvents, parse } = await parseIntoEvents(settings, text);
+    saveToHistory({ ...historyFields, parse, parsed: { events: parsedEvents }, events: structuredClone(formEvents) });
+    logMessage('=== PROCESSING COMPLETE ===');
+    elements.addBtn.classList.add('btn-pulse');
+  } catch (e) {
+    if (showProcessingError(e) && historyFields) saveToHistory({ ...historyFields, parsed: null, error: e.message });
+  }
+}
+
+// "Detect events on this page": events already read from JSON-LD/microdata/hCalendar by
+// page_events.js — no OCR and no LLM, they only need converting to form events
+function structuredSummary(list) {
+  return list.map((ev) => [
+    ev.title,
+    [ev.start, ev.end].filter(Boolean).join(' – '),
+    ev.location,
+    ev.description,
+    ev.url,
+  ].filter(Boolean).join('\n')).join('\n\n');
+}
+
+function processStructured(found, source = null) {
+  logMessage(`[DEBUG] processStructured called with ${found.length} event(s)`);
+  capturedImageData = null;
+  if (elements.imagePreview) elements.imagePreview.hidden = true;
+  if (elements.ocrRerun) elements.ocrRerun.hidden = true;
+  setProcessedPreview(null);
+  const formats = [...new Set(found.map((ev) => ev.format).filter(Boolean))].join(', ');
+  const text = structuredSummary(found);
+  elements.ocrText.value = text;
+  elements.ocrText.dispatchEvent(new Event('input'));
+  if (elements.ocrMeta) elements.ocrMeta.textContent = describeOcr({ provider: 'structured', model: formats });
+  if (elements.errorMsg) elements.errorMsg.textContent = '';
+  const formEvents = found.map(eventFromParsed);
+  setEvents(formEvents);
+  elements.status.textContent = found.length > 1
+    ? `Found ${found.length} events on this page - review each and click Add to Calendar`
+    : 'Found 1 event on this page - review and click Add to Calendar';
+  logMessage(`[DEBUG] Structured events (${formats}): ${JSON.stringify(found, null, 2)}`);
+  saveToHistory({
+    source,
+    ocrText: text,
+    ocr: { provider: 'structured', model: formats },
+    parse: null,
+    parsed: { events: found },
+    events: structuredClone(formEvents),
+  });
+  elements.addBtn.classList.add('btn-pulse');
+}
+
+// Main processing function. `domText` is the page's own text under the selection (content.js);
+// when present it replaces OCR and the image is kept only for the preview and history.
+async function processImage(imageDataUrl, source = null, domText = null, { bypassCache = false } = {}) {
   logMessage('[DEBUG] processImage called');
+  if (keysMissing) return;
+  const rerun = bypassCache && imageDataUrl === capturedImageData;
   capturedImageData = imageDataUrl;
+  capturedSource = source;
   logMessage(`[DEBUG] Received imageDataUrl: ${imageDataUrl ? imageDataUrl.substring(0, 40) + '...' : 'null'}`);
   if (!imageDataUrl || typeof imageDataUrl !== 'string' || !imageDataUrl.startsWith('data:image')) {
     logMessage('[ERROR] No valid image data provided to modal.');
@@ -185,10 +1014,17 @@ async function processImage(imageDataUrl) {
     return;
   }
   elements.image.src = imageDataUrl;
+  if (elements.imagePreview) elements.imagePreview.hidden = false;
+  setProcessedPreview(null);
   logMessage('[DEBUG] Image src set.');
   elements.status.textContent = 'Processing…';
   if (elements.errorMsg) elements.errorMsg.textContent = '';
   logMessage('=== PROCESSING START ===');
+  if (elements.ocrRerun) {
+    elements.ocrRerun.hidden = false;
+    elements.ocrRerun.disabled = true;
+  }
+  let historyFields = null; // filled in once OCR succeeds, so failed parses are still saved
   try {
     logMessage('[DEBUG] Retrieving settings...');
     const settings = await getSettings();
@@ -196,67 +1032,124 @@ async function processImage(imageDataUrl) {
     logMessage(`[DEBUG] Selected OCR method: ${settings.ocrMethod}`);
     logMessage(`[DEBUG] Selected parsing method: ${settings.parseMethod}`);
 
-    // Show OCR status
-    if (elements.apiStatus) elements.apiStatus.textContent = `Sending to ${settings.ocrMethod}...`;
-    logMessage(`[DEBUG] Calling runOcr... (Provider: ${settings.ocrMethod}, Model: ${settings.ocrModel || 'default'})`);
-    const text = await runOcr(settings.ocrMethod, imageDataUrl);
+    let text;
+    let ocrDebug;
+    let direct = null; // { result, debug } when the vision provider also parsed the events
+    let preprocessed = [];
+    if (domText) {
+      logMessage(`[DEBUG] Using ${domText.length} characters of page text; skipping OCR`);
+      text = domText;
+      ocrDebug = { provider: 'dom', model: '' };
+    } else {
+      // Preprocessing never blocks OCR: on failure the original capture is used
+      let ocrImage = imageDataUrl;
+      try {
+        const prepared = await preprocessImage(imageDataUrl, settings.preprocess);
+        if (prepared.applied.length) {
+          ocrImage = prepared.dataUrl;
+          preprocessed = prepared.applied;
+          setProcessedPreview(prepared);
+          logMessage(`[DEBUG] Preprocessed for OCR: ${prepared.applied.join(', ')} → ${prepared.width}×${prepared.height}`);
+        }
+      } catch (e) {
+        logMessage(`[WARN] Preprocessing failed, using the original capture: ${e.message}`);
+      }
+      // Show OCR status
+      if (elements.apiStatus) elements.apiStatus.textContent = `Sending to ${settings.ocrMethod}...`;
+      if (settings.directParse?.includes(settings.ocrMethod)) {
+        logMessage(`[DEBUG] Calling runVisionParse... (Provider: ${settings.ocrMethod}, Model: ${settings.ocrModel || 'default'})`);
+        try {
+          const res = await runVisionParse(settings.ocrMethod, ocrImage);
+          text = res.text;
+          ocrDebug = res.debug;
+          direct = { result: res.result, debug: res.debug };
+        } catch (e) {
+          if (e.cancelled) throw e;
+          logMessage(`[WARN] Direct vision parse failed, falling back to OCR + parse: ${e.message}`);
+        }
+      }
+      if (!direct) {
+        logMessage(`[DEBUG] Calling runOcr... (Provider: ${settings.ocrMethod}, Model: ${settings.ocrModel || 'default'})`);
+        ({ text, debug: ocrDebug } = await runOcr(settings.ocrMethod, ocrImage, { bypassCache }));
+        logMessage(`[DEBUG] OCR cache: ${ocrDebug.cache || 'n/a'}`);
+      }
+      for (const f of ocrDebug.fallbacks || []) {
+        logMessage(`[WARN] OCR provider ${f.provider} failed (${FAILURE_LABELS[f.kind] || f.kind}): ${f.error}`);
+      }
+      if (ocrDebug.fallbacks?.length) logMessage(`OCR done by fallback provider ${ocrDebug.provider}.`);
+      showMethods({ ocr: { provider: ocrDebug.provider || settings.ocrMethod, model: ocrDebug.model || '' } });
+      const size = ocrDebug.image;
+      if (size) {
+        logMessage(size.resized
+          ? `[DEBUG] OCR image: ${describeImageSize(size.original)} → sent ${describeImageSize(size.sent)}`
+          : `[DEBUG] OCR image: ${describeImageSize(size.original)} (within ${ocrDebug.provider} limits, sent as is)`);
+      }
+    }
     logMessage(`[DEBUG] OCR result: ${text ? text.substring(0, 80) + '...' : 'null'}`);
+    if (elements.ocrMeta) {
+      elements.ocrMeta.textContent = describeOcr(ocrDebug) + (preprocessed.length ? ` • preprocessed (${preprocessed.join(', ')})` : '');
+    }
+    if (typeof ocrDebug.confidence === 'number') {
+      logMessage(`[DEBUG] OCR confidence: ${ocrDebug.confidence.toFixed(1)}%`);
+    }
     elements.ocrText.value = text;
     elements.ocrText.dispatchEvent(new Event('input')); // Trigger input event for button visibility
+    historyFields = {
+      source,
+      ocrText: text,
+      ocr: { provider: ocrDebug.provider || settings.ocrMethod, model: domText ? '' : (ocrDebug.model || settings.ocrModel || ''), confidence: ocrDebug.confidence, preprocess: preprocessed },
+      parse: direct ? { provider: ocrDebug.provider, model: ocrDebug.model || '' } : { provider: settings.parseMethod, model: settings.parseModel || '' },
+    };
     logMessage(`[DEBUG] OCR completed. Extracted ${text.length} characters`);
 
-    // Show Parse status
-    if (elements.apiStatus) elements.apiStatus.textContent = `Sending to ${settings.parseMethod}...`;
-    logMessage(`[DEBUG] Calling runParse... (Provider: ${settings.parseMethod}, Model: ${settings.parseModel || 'default'})`);
-    const parsed = await runParse(settings.parseMethod, text);
-    logMessage(`[DEBUG] Parsed result: ${JSON.stringify(parsed, null, 2)}`);
-
-    // Clear API status
-    if (elements.apiStatus) elements.apiStatus.textContent = '';
-
-    // Use requestAnimationFrame to ensure the DOM is ready for updates, preventing race conditions.
-    requestAnimationFrame(() => {
-      elements.title.value = parsed.title || '';
-      elements.location.value = (parsed.location || '').replace(/\r?\n/g, ', ');
-      const sd = parsed.start ? new Date(parsed.start) : (parsed.startDate ? new Date(parsed.startDate) : null);
-      const ed = parsed.end ? new Date(parsed.end) : (parsed.endDate ? new Date(parsed.endDate) : null);
-      if (sd) {
-        elements.startDate.value = fmtDate(sd);
-        elements.startTime.value = fmtTime(sd);
-      }
-      if (ed) {
-        elements.endDate.value = fmtDate(ed);
-        elements.endTime.value = fmtTime(ed);
-      }
-      const allDay = parsed.hasTime === false;
-      elements.allDay.checked = !!allDay;
-      elements.allDay.dispatchEvent(new Event('change'));
-      logMessage('[DEBUG] Form fields populated with parsed data.');
-    });
-
+    const { parsedEvents, formEvents, parse } = await parseIntoEvents(settings, text, direct);
+    saveToHistory({ ...historyFields, parse, parsed: { events: parsedEvents }, events: structuredClone(formEvents) }, { replace: rerun });
     logMessage('=== PROCESSING COMPLETE ===');
-    elements.status.textContent = 'Ready - review and click Add to Calendar';
 
     // Add pulse animation to Add to Calendar button
     elements.addBtn.classList.add('btn-pulse');
   } catch (e) {
-    logMessage('=== PROCESSING ERROR ===');
-    logMessage(`[ERROR] ${e.message}`);
-    elements.status.textContent = 'Processing failed - check log for details';
-    if (elements.errorMsg) elements.errorMsg.textContent = `Error: ${e.message}`;
-    if (elements.apiStatus) elements.apiStatus.textContent = '';
+    if (showProcessingError(e) && historyFields) saveToHistory({ ...historyFields, parsed: null, error: e.message }, { replace: rerun });
+  } finally {
+    if (elements.ocrRerun) elements.ocrRerun.disabled = false;
   }
 }
 
+// Same image again, skipping the OCR cache (and the page text, if the capture had any)
+elements.ocrRerun?.addEventListener('click', () => {
+  if (!capturedImageData) return;
+  logMessage('Re-running OCR without the cache.');
+  processImage(capturedImageData, capturedSource, null, { bypassCache: true });
+});
+
 // Listen for messages from content script
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   console.log('[T2C Modal][DEBUG] onMessage received:', msg);
+  if (msg.type === 'EC_OCR_PROGRESS') {
+    if (msg.requestId && msg.requestId === currentOcrRequestId && elements.apiStatus) {
+      const pct = typeof msg.progress === 'number' ? ` ${Math.round(msg.progress * 100)}%` : '';
+      elements.apiStatus.textContent = `${msg.provider}: ${msg.status || 'working'}${pct}`;
+    }
+    return false;
+  }
   if (msg.type === 'POPUP_PROCESS_IMAGE' && msg.imageDataUrl) {
     console.log('[T2C Modal][DEBUG] Received POPUP_PROCESS_IMAGE:', msg.imageDataUrl ? msg.imageDataUrl.substring(0, 80) + '...' : 'null');
-    processImage(msg.imageDataUrl);
+    processImage(msg.imageDataUrl, msg.source || null, msg.domText || null);
     // It's good practice to send a response to confirm receipt
     sendResponse({ ok: true });
   }
+  if (msg.type === 'POPUP_PROCESS_TEXT' && msg.text) {
+    processText(msg.text, msg.source || null);
+    sendResponse({ ok: true });
+  }
+  if (msg.type === 'POPUP_PROCESS_EVENTS' && Array.isArray(msg.events)) {
+    processStructured(msg.events, msg.source || null);
+    sendResponse({ ok: true });
+  }
+  if (msg.type === 'POPUP_OPEN_HISTORY' && msg.historyId) {
+    openFromHistory(msg.historyId);
+    sendResponse({ ok: true });
+  }
   return false;
 });
 
@@ -286,20 +1179,24 @@ document.addEventListener('DOMContentLoaded', () => {
     console.log('[T2C Modal][DEBUG] Parse method:', settings.parseMethod, 'Parse model:', settings.parseModel);
     logMessage(`[DEBUG] OCR method: ${settings.ocrMethod}, OCR model: ${settings.ocrModel || '(none)'}`);
     logMessage(`[DEBUG] Parse method: ${settings.parseMethod}, Parse model: ${settings.parseModel || '(none)'}`);
-    // If no API keys are present, open options so user can configure
-    if (!settings.openaiKey && !settings.claudeKey && !settings.geminiKey && !settings.googleKey) {
+    // If no API keys are present (and OCR + parse are not both offline), open options so user can configure
+    const allLocal = settings.ocrMethod === 'tesseract' && settings.parseMethod === 'local';
+    if (!allLocal && !settings.openaiKey && !settings.claudeKey && !settings.geminiKey && !settings.googleKey && !settings.customConfigured) {
       logMessage('No API keys found, opening options page.');
       elements.status.textContent = 'Configuration needed';
       if (elements.errorMsg) {
         elements.errorMsg.textContent = 'No API keys found. Please open settings to add a key.';
       }
       //chrome.runtime.sendMessage({ type: 't2c.openOptions' });
-      return;
+      // Keep going: page events and history entries need no keys
+      keysMissing = true;
     }
     // Show selected methods and models
-    const ocrModelStr = settings.ocrModel ? ` (${settings.ocrModel})` : '';
-    const parseModelStr = settings.parseModel ? ` (${settings.parseModel})` : '';
-    elements.methods.textContent = `OCR: ${settings.ocrMethod}${ocrModelStr} • Parse: ${settings.parseMethod}${parseModelStr}`;
+    showConfiguredMethods(settings);
+    defaultTarget = CALENDAR_TARGETS[settings.calendarTarget] ? settings.calendarTarget : DEFAULT_TARGET;
+    populateTargets();
+    populateTimeZones();
+    setupGcal(settings);
 
     // Signal to background script that the modal is ready to receive the image
     logMessage('Modal is ready, signaling to background script.');
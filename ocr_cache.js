@@ -0,0 +1,83 @@
+// ocr_cache.js – OCR results cached in IndexedDB, keyed by SHA-256 of the image bytes plus
+// provider and model, so re-running the same capture (options tests, re-parsing after a
+// settings change) does not repeat a paid OCR call.
+// An entry: { key, text, debug (without the request payload), createdAt }
+
+const DB_NAME = 'calendarcapture-ocr-cache';
+const DB_VERSION = 1;
+const STORE = 'results';
+const MAX_ENTRIES = 200;
+const TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'key' });
+      store.createIndex('createdAt', 'createdAt');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => {
+      dbPromise = null;
+      reject(req.error);
+    };
+  });
+  return dbPromise;
+}
+
+async function withStore(mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const req = fn(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('OCR cache transaction aborted'));
+  });
+}
+
+// Hash of the decoded image bytes, so the same capture matches however it was re-encoded as text
+async function imageHash(dataUrl) {
+  const bytes = new Uint8Array(await (await fetch(dataUrl)).arrayBuffer());
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+  return [...digest].map((b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+// null for images that cannot be hashed (http URLs passed straight to Google Vision)
+export async function ocrCacheKey(provider, model, dataUrl) {
+  if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:')) return null;
+  return `${await imageHash(dataUrl)}|${provider}|${model || ''}`;
+}
+
+export async function getCachedOcr(key) {
+  const entry = await withStore('readonly', (store) => store.get(key));
+  if (!entry) return null;
+  if (Date.now() - entry.createdAt > TTL_MS) {
+    await withStore('readwrite', (store) => store.delete(key));
+    return null;
+  }
+  return entry;
+}
+
+export async function putCachedOcr(key, text, debug) {
+  const { payload, ...rest } = debug || {};
+  await withStore('readwrite', (store) => store.put({ key, text, debug: rest, createdAt: Date.now() }));
+  await pruneCache();
+}
+
+// Drop expired entries, then the oldest beyond MAX_ENTRIES (keys come back oldest first)
+async function pruneCache() {
+  const keys = (await withStore('readonly', (store) => store.index('createdAt').getAllKeys())) || [];
+  const cutoff = IDBKeyRange.upperBound(Date.now() - TTL_MS, true);
+  const expired = (await withStore('readonly', (store) => store.index('createdAt').count(cutoff))) || 0;
+  const drop = Math.max(expired, keys.length - MAX_ENTRIES);
+  if (drop <= 0) return;
+  await withStore('readwrite', (store) => {
+    let last;
+    for (const key of keys.slice(0, drop)) last = store.delete(key);
+    return last;
+  });
+}
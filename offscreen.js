@@ -0,0 +1,73 @@
+// offscreen.js — offscreen document that hosts sandbox.html (Tesseract) for the service worker.
+// Service worker → chrome.runtime message → here → postMessage → sandbox iframe, and back.
+
+const frame = document.getElementById('sandbox');
+const pending = new Map(); // id → { resolve, reject, requestId }
+let sandboxReady = null;   // Promise<void> resolved on the first TESS_READY
+
+function waitForSandbox() {
+  if (sandboxReady) return sandboxReady;
+  sandboxReady = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      sandboxReady = null;
+      reject(new Error('Tesseract sandbox did not start. Check the files in Options → Tesseract Utilities.'));
+    }, 30000);
+    window.addEventListener('message', function onReady(ev) {
+      if (ev.source !== frame.contentWindow || ev.data?.type !== 'TESS_READY') return;
+      if (ev.data.error === 'not-initialized') return; // ping answered mid-startup; wait for the real one
+      window.removeEventListener('message', onReady);
+      clearTimeout(timer);
+      if (ev.data.error) {
+        sandboxReady = null;
+        reject(new Error(`Tesseract failed to load: ${ev.data.error}`));
+      } else {
+        resolve();
+      }
+    });
+    // In case the sandbox finished initializing before we started listening
+    frame.contentWindow?.postMessage({ type: 'TESS_PING' }, '*');
+  });
+  return sandboxReady;
+}
+
+window.addEventListener('message', (ev) => {
+  if (ev.source !== frame.contentWindow) return;
+  const msg = ev.data || {};
+  const job = pending.get(msg.id);
+  if (!job) return;
+
+  if (msg.type === 'TESS_PROGRESS') {
+    chrome.runtime.sendMessage({
+      type: 'EC_OCR_PROGRESS',
+      requestId: job.requestId,
+      provider: 'tesseract',
+      status: msg.status,
+      progress: msg.progress,
+    }).catch(() => {}); // nobody listening (e.g. options test) is fine
+    return;
+  }
+
+  if (msg.type === 'TESS_OCR_RESULT') {
+    pending.delete(msg.id);
+    if (msg.ok) job.resolve({ text: msg.text, confidence: msg.confidence });
+    else job.reject(new Error(msg.error || 'Tesseract OCR failed'));
+  }
+});
+
+async function recognize({ dataUrl, lang, psm, requestId }) {
+  await waitForSandbox();
+  const id = crypto.randomUUID();
+  return await new Promise((resolve, reject) => {
+    pending.set(id, { resolve, reject, requestId });
+    frame.contentWindow.postMessage({ type: 'TESS_OCR', id, dataUrl, lang, psm }, '*');
+  });
+}
+
+chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+  if (msg?.target !== 'offscreen' || msg.type !== 'OFFSCREEN_TESS_OCR') return false;
+  recognize(msg).then(
+    (res) => sendResponse({ ok: true, ...res }),
+    (err) => sendResponse({ ok: false, error: err?.message || String(err) })
+  );
+  return true; // keep message channel open
+});
@@ -0,0 +1,77 @@
+// openai_compat.js – the "Custom OpenAI-compatible" provider: any server speaking the OpenAI
+// chat-completions API (Ollama, LM Studio, vLLM, llama.cpp, Azure OpenAI, proxies).
+// Settings (options.html → API Keys): customBaseUrl, customKey (optional), customHeaders
+// ("Name: value" per line). Used by api_calls.js in the service worker and by options.js.
+
+import { providerFetch } from './provider_request.js';
+
+// Base URL → endpoint. The base is the API root holding /chat/completions and /models
+// ("http://localhost:11434/v1"); a bare host gets /v1. A query string on the base is kept on
+// every endpoint, which is how Azure passes api-version:
+//   https://res.openai.azure.com/openai/deployments/gpt-4o?api-version=2024-06-01
+export function customEndpoint(baseUrl, path) {
+  const url = new URL(String(baseUrl || '').trim());
+  let base = url.pathname.replace(/\/+$/, '');
+  if (!base) base = '/v1';
+  url.pathname = `${base}/${path.replace(/^\/+/, '')}`;
+  return url.toString();
+}
+
+// "X-Api-Key: abc\nOpenAI-Organization: org-1" → { 'X-Api-Key': 'abc', ... }; junk lines are skipped
+export function parseHeaderLines(text) {
+  const headers = {};
+  for (const line of String(text || '').split(/\r?\n/)) {
+    const i = line.indexOf(':');
+    if (i <= 0) continue;
+    const name = line.slice(0, i).trim();
+    const value = line.slice(i + 1).trim();
+    if (/^[!#$%&'*+.^_`|~\w-]+$/.test(name) && value) headers[name] = value;
+  }
+  return headers;
+}
+
+export function customHeaders(settings, extra = {}) {
+  return {
+    ...(settings.customKey ? { Authorization: `Bearer ${settings.customKey}` } : {}),
+    ...parseHeaderLines(settings.customHeaders),
+    ...extra,
+  };
+}
+
+export function isCustomConfigured(settings) {
+  return !!String(settings?.customBaseUrl || '').trim();
+}
+
+// GET {base}/models → ['llava:13b', ...] (OpenAI's { data: [{ id }] }, or Ollama's older
+// { models: [{ name }] } when pointed at the native API). `provider` picks the timeout and
+// retries of provider_request.js, so a server that is down cannot hang the call.
+export async function listCustomModels(settings, { signal, provider = 'custom' } = {}) {
+  if (!isCustomConfigured(settings)) throw new Error('Custom endpoint base URL is missing.');
+  const resp = await providerFetch(provider, customEndpoint(settings.customBaseUrl, 'models'), { headers: customHeaders(settings) }, { signal });
+  let data = null;
+  try {
+    data = await resp.json();
+  } catch {}
+  if (!resp.ok) {
+    const err = new Error(data?.error?.message || data?.error || `Custom endpoint /models: HTTP ${resp.status}`);
+    err.status = resp.status;
+    throw err;
+  }
+  const list = Array.isArray(data?.data) ? data.data.map((m) => m.id) : Array.isArray(data?.models) ? data.models.map((m) => m.name || m.model) : [];
+  return list.filter(Boolean);
+}
+
+// Chat replies from local models often wrap the JSON in ``` fences or add a sentence around it
+export function extractJson(content) {
+  const text = String(content || '').trim();
+  const fenced = /```(?:json)?\s*([\s\S]*?)```/i.exec(text);
+  const candidate = fenced ? fenced[1] : text;
+  try {
+    return JSON.parse(candidate);
+  } catch {
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start >= 0 && end > start) return JSON.parse(candidate.slice(start, end + 1));
+    throw new Error('Valid JSON not found in custom endpoint response.');
+  }
+}
@@ -21,14 +21,21 @@
     'openai': 'openai-key',
     'gemini': 'gemini-key',
     'claude': 'claude-key',
+    // Custom OpenAI-compatible endpoint: the base URL is what it needs, a key is optional
+    'custom-vision': 'custom-base-url',
+    'custom': 'custom-base-url',
   };
 
+  // Providers that run locally and need no API key
+  const KEYLESS_PROVIDERS = ['tesseract', 'local'];
+
   // --- Key validation status ---
   let keyValidationStatus = {
     openai: false,
     gemini: false,
     claude: false,
     google: false,
+    custom: false,
   };
   // --- Local state ---
   let testImageDataUrl = null;
@@ -54,8 +61,9 @@
       'claude-key': $('claude-key')?.value || '',
       'gemini-key': $('gemini-key')?.value || '',
       'google-key': $('google-key')?.value || '',
+      'custom-base-url': $('custom-base-url')?.value || '',
     };
-    return !keys['openai-key'] && !keys['claude-key'] && !keys['gemini-key'] && !keys['google-key'];
+    return !keys['openai-key'] && !keys['claude-key'] && !keys['gemini-key'] && !keys['google-key'] && !keys['custom-base-url'];
   }
 
   // --- Update key hints visibility ---
@@ -75,8 +83,8 @@
     const parseHelper = $('parse-helper-text');
 
     if (validKeyCount === 0) {
-      if (ocrHelper) ocrHelper.textContent = 'Fill in at least one API key above to enable OCR providers';
-      if (parseHelper) parseHelper.textContent = 'Fill in at least one API key above to enable parsing providers';
+      if (ocrHelper) ocrHelper.textContent = 'Fill in at least one API key above to enable OCR providers, or use Tesseract (offline)';
+      if (parseHelper) parseHelper.textContent = 'Fill in at least one API key above to enable parsing providers, or use Local rules (offline)';
       return;
     }
 
@@ -265,7 +273,7 @@
       const requiredKeyId = API_REQUIREMENTS[radio.value];
       // If key is present, check if it passes validation
       const providerName = radio.value.split('-')[0]; // 'openai', 'gemini', etc.
-      const hasKey = keyValidationStatus[providerName];
+      const hasKey = KEYLESS_PROVIDERS.includes(radio.value) || keyValidationStatus[providerName];
 
       radio.disabled = !hasKey;
       loadBtn.disabled = radio.disabled; // Match the radio button's enabled state
@@ -498,6 +506,29 @@
         if (progressEl) progressEl.textContent = `Found ${candidates.length} models`;
       }
 
+      if (provider.startsWith('custom')) {
+        if (progressEl) progressEl.textContent = 'Fetching models from the custom endpoint...';
+        const res = await chrome.runtime.sendMessage({ type: 'EC_LIST_CUSTOM_MODELS', settings: customSettingsFromForm() });
+        if (!res?.ok) throw new Error(res?.error || 'Could not list models');
+        candidates = res.models;
+        log(`Custom endpoint models: ${candidates.length} found. Samples: ${candidates.slice(0, 5).join(', ')}`);
+        if (progressEl) progressEl.textContent = `Found ${candidates.length} models`;
+      }
+
+      if (provider === 'tesseract') {
+        // Local engine: the "models" are the bundled traineddata languages
+        log('Using bundled Tesseract language list.');
+        candidates = ['eng'];
+        if (progressEl) progressEl.textContent = `Found ${candidates.length} language`;
+      }
+
+      if (provider === 'local') {
+        // Offline rule-based parser: nothing to choose
+        log('Local parser has a single built-in rule set.');
+        candidates = ['rules'];
+        if (progressEl) progressEl.textContent = 'Built-in rules';
+      }
+
       if (provider.startsWith('claude')) {
         if (progressEl) progressEl.textContent = 'Loading Claude models...';
         log('Using hardcoded list for Claude models.');
@@ -749,6 +780,7 @@
     if (key === 'gemini-key' && !/^AIza/.test(value)) return { valid: false, error: 'Must start with AIza' };
     if (key === 'claude-key' && !/^sk-ant-/.test(value)) return { valid: false, error: 'Must start with sk-ant-' };
     if (key === 'google-key' && !/^AIza/.test(value)) return { valid: false, error: 'Must start with AIza' };
+    if (key === 'custom-base-url' && !/^https?:\/\/[^/\s]+/i.test(value)) return { valid: false, error: 'Must be an http:// or https:// URL' };
     return { valid: true };
   }
 
@@ -770,6 +802,14 @@
     if (err) err.style.display = 'none';
   }
 
+  function customSettingsFromForm() {
+    return {
+      customBaseUrl: $('custom-base-url')?.value.trim() || '',
+      customKey: $('custom-key')?.value.trim() || '',
+      customHeaders: $('custom-headers')?.value || '',
+    };
+  }
+
   async function validateApiKeys() {
     const saveBtn = $('save-config-btn');
     const originalText = saveBtn.textContent;
@@ -784,7 +824,7 @@
     };
 
     // Reset status
-    keyValidationStatus = { openai: false, gemini: false, claude: false, google: false };
+    keyValidationStatus = { openai: false, gemini: false, claude: false, google: false, custom: false };
 
     // OpenAI
     if (keys.openai) {
@@ -857,6 +897,20 @@
       }
     }
 
+    // Custom endpoint: listing its models checks the URL, key and headers in one go
+    const custom = customSettingsFromForm();
+    if (custom.customBaseUrl) {
+      try {
+        const res = await chrome.runtime.sendMessage({ type: 'EC_LIST_CUSTOM_MODELS', settings: custom });
+        if (!res?.ok) throw new Error(res?.error || 'No response');
+        keyValidationStatus.custom = true;
+        log(res.unlisted ? 'Custom endpoint is reachable (it does not list models).' : `Custom endpoint is reachable (${res.models.length} models).`);
+        clearKeyError('custom-base-url');
+      } catch (e) {
+        showKeyError('custom-base-url', `Validation failed: ${e.message}`);
+      }
+    }
+
     updateAllOptionStates();
     saveBtn.textContent = originalText;
     // The button remains enabled for further changes.
@@ -886,7 +940,7 @@
 
   async function saveConfiguration() {
     // Validate all keys
-    const keys = ['openai-key', 'gemini-key', 'claude-key', 'google-key'];
+    const keys = ['openai-key', 'gemini-key', 'claude-key', 'google-key', 'custom-base-url'];
     let hasError = false;
     for (const key of keys) {
       const val = $(key)?.value.trim() || '';
@@ -925,6 +979,7 @@
         claudeKey: $('claude-key')?.value.trim() || '',
         geminiKey: $('gemini-key')?.value.trim() || '',
         googleKey: $('google-key')?.value.trim() || '',
+        ...customSettingsFromForm(),
       };
       await chrome.storage.sync.set(config);
       // Also save selected models for OCR and Parse
@@ -948,7 +1003,8 @@
     try {
       const config = await chrome.storage.sync.get([
         'ocrMethod', 'parseMethod',
-        'openaiKey', 'claudeKey', 'geminiKey', 'googleKey'
+        'openaiKey', 'claudeKey', 'geminiKey', 'googleKey',
+        'customBaseUrl', 'customKey', 'customHeaders'
       ]);
       log('Loading saved configuration from storage...');
 
@@ -956,12 +1012,16 @@
       if ($('claude-key')) $('claude-key').value = config.claudeKey || '';
       if ($('gemini-key')) $('gemini-key').value = config.geminiKey || '';
       if ($('google-key')) $('google-key').value = config.googleKey || '';
+      if ($('custom-base-url')) $('custom-base-url').value = config.customBaseUrl || '';
+      if ($('custom-key')) $('custom-key').value = config.customKey || '';
+      if ($('custom-headers')) $('custom-headers').value = config.customHeaders || '';
 
       // Assume any pre-existing keys are valid to enable the UI immediately for returning users.
       if (config.openaiKey) keyValidationStatus.openai = true;
       if (config.geminiKey) keyValidationStatus.gemini = true;
       if (config.claudeKey) keyValidationStatus.claude = true;
       if (config.googleKey) keyValidationStatus.google = true;
+      if (config.customBaseUrl) keyValidationStatus.custom = true;
       if (Object.values(keyValidationStatus).some(v => v)) {
         log('Pre-existing keys found. Assuming valid and enabling options.');
       }
@@ -979,7 +1039,7 @@
 
 
       // Restore model lists and selections for all providers
-      const allProviders = ['openai-vision', 'gemini-vision', 'claude-vision', 'openai', 'gemini', 'claude'];
+      const allProviders = ['openai-vision', 'gemini-vision', 'claude-vision', 'custom-vision', 'tesseract', 'openai', 'gemini', 'claude', 'custom', 'local'];
       for (const provider of allProviders) {
         const modelListKey = provider + 'ModelList';
         const stored = await chrome.storage.sync.get([modelListKey]);
@@ -1014,6 +1074,170 @@
     }
   }
 
+  // --- Google Calendar direct insert ---
+  async function refreshGcalStatus() {
+    const statusEl = $('gcal-status');
+    try {
+      const res = await chrome.runtime.sendMessage({ type: 'EC_GCAL_STATUS' });
+      if (!res?.ok) throw new Error(res?.error || 'Unknown error');
+      if (statusEl) {
+        statusEl.textContent = !res.configured ? 'Not configured'
+          : (res.signedIn ? '✅ Signed in' : 'Not signed in');
+      }
+      if ($('gcal-signin-btn')) $('gcal-signin-btn').disabled = !res.configured || res.signedIn;
+      if ($('gcal-signout-btn')) $('gcal-signout-btn').disabled = !res.signedIn;
+    } catch (e) {
+      if (statusEl) statusEl.textContent = 'Status unavailable';
+      log(`Google Calendar status check failed: ${e.message}`, true);
+    }
+  }
+
+  async function loadGcalSettings() {
+    const s = await chrome.storage.sync.get(['gcalClientId', 'gcalReminders', 'gcalDirectInsert', 'calendarTarget']);
+    if ($('calendar-target')) $('calendar-target').value = s.calendarTarget || 'google';
+    if ($('gcal-client-id')) $('gcal-client-id').value = s.gcalClientId || '';
+    if ($('gcal-reminders')) $('gcal-reminders').value = s.gcalReminders || '';
+    if ($('gcal-direct-insert')) $('gcal-direct-insert').checked = !!s.gcalDirectInsert;
+    if ($('gcal-redirect-uri')) {
+      try { $('gcal-redirect-uri').textContent = chrome.identity.getRedirectURL(); } catch {}
+    }
+    await refreshGcalStatus();
+  }
+
+  async function saveGcalSettings() {
+    const gcalClientId = $('gcal-client-id')?.value.trim() || '';
+    const gcalReminders = $('gcal-reminders')?.value.trim() || '';
+    const gcalDirectInsert = !!$('gcal-direct-insert')?.checked && !!gcalClientId;
+    if (gcalClientId && !/\.apps\.googleusercontent\.com$/.test(gcalClientId)) {
+      log('OAuth client ID should end with .apps.googleusercontent.com', true);
+      if ($('gcal-status')) $('gcal-status').textContent = '❌ Check the client ID';
+      return;
+    }
+    const calendarTarget = $('calendar-target')?.value || 'google';
+    await chrome.storage.sync.set({ gcalClientId, gcalReminders, gcalDirectInsert, calendarTarget });
+    if ($('gcal-direct-insert')) $('gcal-direct-insert').checked = gcalDirectInsert;
+    log(`Saved calendar settings: default=${calendarTarget}, Google direct insert ${gcalDirectInsert ? 'on' : 'off'}.`);
+    await refreshGcalStatus();
+  }
+
+  async function gcalSignIn() {
+    log('Starting Google Calendar sign-in...');
+    try {
+      const res = await chrome.runtime.sendMessage({ type: 'EC_GCAL_SIGN_IN' });
+      if (!res?.ok) throw new Error(res?.error || 'Unknown error');
+      log('Signed in to Google Calendar.');
+    } catch (e) {
+      log(`Google Calendar sign-in failed: ${e.message}`, true);
+    }
+    await refreshGcalStatus();
+  }
+
+  async function gcalSignOut() {
+    try {
+      await chrome.runtime.sendMessage({ type: 'EC_GCAL_SIGN_OUT' });
+      log('Signed out of Google Calendar.');
+    } catch (e) {
+      log(`Google Calendar sign-out failed: ${e.message}`, true);
+    }
+    await refreshGcalStatus();
+  }
+
+  // Short-lived "Saved" next to a card's save button
+  function flashSaved(statusId) {
+    const statusEl = $(statusId);
+    if (!statusEl) return;
+    statusEl.textContent = 'Saved';
+    setTimeout(() => { statusEl.textContent = ''; }, 2000);
+  }
+
+  // --- Image preprocessing (steps and defaults come from preprocess.js; this script is not a
+  // module, so it is loaded with a dynamic import) ---
+  async function loadPreprocessSettings() {
+    const { PREPROCESS_STEPS, normalizePreprocess } = await import('./preprocess.js');
+    const { preprocess } = await chrome.storage.sync.get(['preprocess']);
+    const current = normalizePreprocess(preprocess);
+    for (const step of PREPROCESS_STEPS) {
+      if ($(`pre-${step}`)) $(`pre-${step}`).checked = current[step];
+    }
+  }
+
+  async function savePreprocessSettings() {
+    const { PREPROCESS_STEPS } = await import('./preprocess.js');
+    const preprocess = {};
+    for (const step of PREPROCESS_STEPS) preprocess[step] = !!$(`pre-${step}`)?.checked;
+    await chrome.storage.sync.set({ preprocess });
+    const on = Object.keys(preprocess).filter((k) => preprocess[k]);
+    log(`Saved preprocessing: ${on.length ? on.join(', ') : 'off'}.`);
+    flashSaved('preprocess-status');
+  }
+
+  // --- Direct vision parse: providers that read the events from the image in one call ---
+  const DIRECT_PARSE_PROVIDERS = ['openai-vision', 'gemini-vision', 'claude-vision', 'custom-vision'];
+
+  async function loadDirectParseSettings() {
+    const { directParse } = await chrome.storage.sync.get(['directParse']);
+    const on = Array.isArray(directParse) ? directParse : [];
+    for (const provider of DIRECT_PARSE_PROVIDERS) {
+      if ($(`direct-${provider}`)) $(`direct-${provider}`).checked = on.includes(provider);
+    }
+  }
+
+  async function saveDirectParseSettings() {
+    const directParse = DIRECT_PARSE_PROVIDERS.filter((provider) => $(`direct-${provider}`)?.checked);
+    await chrome.storage.sync.set({ directParse });
+    log(`Saved direct vision parse: ${directParse.length ? directParse.join(', ') : 'off'}.`);
+    flashSaved('direct-parse-status');
+  }
+
+  // --- Fallback chains: providers tried in order when the selected one fails ---
+  const OCR_PROVIDERS = [
+    { value: 'openai-vision', label: 'OpenAI Vision' },
+    { value: 'gemini-vision', label: 'Gemini Vision' },
+    { value: 'claude-vision', label: 'Claude Vision' },
+    { value: 'custom-vision', label: 'Custom OpenAI-compatible (vision model)' },
+    { value: 'tesseract', label: 'Tesseract (offline)' },
+  ];
+  const PARSE_PROVIDERS = [
+    { value: 'openai', label: 'OpenAI' },
+    { value: 'gemini', label: 'Gemini' },
+    { value: 'claude', label: 'Claude' },
+    { value: 'custom', label: 'Custom OpenAI-compatible' },
+    { value: 'local', label: 'Local rules (offline)' },
+  ];
+  const FALLBACK_SLOTS = 3;
+
+  function fillFallbackSelects(kind, providers, chain) {
+    for (let i = 0; i < FALLBACK_SLOTS; i++) {
+      const sel = $(`${kind}-fallback-${i + 1}`);
+      if (!sel) continue;
+      sel.replaceChildren(new Option('—', ''), ...providers.map((p) => new Option(p.label, p.value)));
+      sel.value = chain[i] || '';
+    }
+  }
+
+  function readFallbackSelects(kind) {
+    const chain = [];
+    for (let i = 0; i < FALLBACK_SLOTS; i++) {
+      const value = $(`${kind}-fallback-${i + 1}`)?.value;
+      if (value && !chain.includes(value)) chain.push(value);
+    }
+    return chain;
+  }
+
+  async function loadFallbackSettings() {
+    const { ocrFallbacks, parseFallbacks } = await chrome.storage.sync.get(['ocrFallbacks', 'parseFallbacks']);
+    fillFallbackSelects('ocr', OCR_PROVIDERS, ocrFallbacks || []);
+    fillFallbackSelects('parse', PARSE_PROVIDERS, parseFallbacks || []);
+  }
+
+  async function saveFallbackSettings() {
+    const ocrFallbacks = readFallbackSelects('ocr');
+    const parseFallbacks = readFallbackSelects('parse');
+    await chrome.storage.sync.set({ ocrFallbacks, parseFallbacks });
+    log(`Saved fallbacks: OCR → ${ocrFallbacks.join(' → ') || 'none'}; Parse → ${parseFallbacks.join(' → ') || 'none'}.`);
+    flashSaved('fallback-status');
+  }
+
   // --- Load image from URL ---
   async function loadImageFromUrl(url) {
     try {
@@ -1040,7 +1264,7 @@
     const saveBtn = $('save-config-btn');
     saveBtn?.addEventListener('click', saveConfiguration);
 
-    ['openai-key', 'claude-key', 'gemini-key', 'google-key'].forEach((id) => {
+    ['openai-key', 'claude-key', 'gemini-key', 'google-key', 'custom-base-url', 'custom-key', 'custom-headers'].forEach((id) => {
       $(id)?.addEventListener('input', () => {
         clearKeyError(id);
         if (saveBtn) {
@@ -1107,6 +1331,13 @@
       await runParserTest(parserRadio.value, modelName);
     });
 
+    $('preprocess-save-btn')?.addEventListener('click', savePreprocessSettings);
+    $('direct-parse-save-btn')?.addEventListener('click', saveDirectParseSettings);
+    $('fallback-save-btn')?.addEventListener('click', saveFallbackSettings);
+    $('gcal-save-btn')?.addEventListener('click', saveGcalSettings);
+    $('gcal-signin-btn')?.addEventListener('click', gcalSignIn);
+    $('gcal-signout-btn')?.addEventListener('click', gcalSignOut);
+
     // Exit Options button
     $('exit-options-btn')?.addEventListener('click', () => {
       window.close();
@@ -1190,19 +1421,15 @@
     saveBtn.textContent = 'Save & Validate Keys';
     saveBtn.disabled = true;
 
-    createProviderRowsNoTest('ocr-method-options', 'ocrMethod', [
-      { value: 'openai-vision', label: 'OpenAI Vision' },
-      { value: 'gemini-vision', label: 'Gemini Vision' },
-      { value: 'claude-vision', label: 'Claude Vision' },
-    ], null, true);
-    createProviderRowsNoTest('parse-method-options', 'parseMethod', [
-      { value: 'openai', label: 'OpenAI' },
-      { value: 'gemini', label: 'Gemini' },
-      { value: 'claude', label: 'Claude' },
-    ], null, false);
+    createProviderRowsNoTest('ocr-method-options', 'ocrMethod', OCR_PROVIDERS, null, true);
+    createProviderRowsNoTest('parse-method-options', 'parseMethod', PARSE_PROVIDERS, null, false);
 
     setupEventListeners();
     await loadConfiguration();
+    await loadGcalSettings();
+    await loadPreprocessSettings();
+    await loadDirectParseSettings();
+    await loadFallbackSettings();
 
     // Initially, all provider rows should be disabled until keys are validated.
     updateAllOptionStates();
@@ -0,0 +1,193 @@
+/* page_events.js — machine-readable events already on the page (no OCR, no LLM).
+ * Injected with chrome.scripting.executeScript({ files }); the value of the final expression is
+ * the result: [{ title, start, end, location, hasTime, timeZone, recurrence, description, url, format }]
+ * in the same shape the parsers return. Reads schema.org JSON-LD, schema.org microdata and
+ * hCalendar (microformats v1 "vevent" and v2 "h-event").
+ */
+
+(() => {
+  const EVENT_TYPE = /(?:^|[/#:])(?:\w*Event|Festival|Hackathon|CourseInstance)$/;
+  const DAY_CODES = { monday: 'MO', tuesday: 'TU', wednesday: 'WE', thursday: 'TH', friday: 'FR', saturday: 'SA', sunday: 'SU' };
+
+  const text = (v) => (typeof v === 'string' ? v.replace(/\s+/g, ' ').trim() : '');
+  const first = (v) => (Array.isArray(v) ? v[0] : v);
+  const isEventType = (t) => [].concat(t || []).some((x) => EVENT_TYPE.test(String(x)));
+
+  // Dates are passed through when ISO-like (the modal keeps the wall clock and any offset);
+  // anything else goes through Date and comes back as local time.
+  function normalizeDate(value) {
+    const v = text(first(value));
+    if (!v) return null;
+    if (/^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:?\d{2})?)?$/i.test(v)) return v.replace(' ', 'T');
+    const d = new Date(v);
+    if (isNaN(d)) return null;
+    const z2 = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${z2(d.getMonth() + 1)}-${z2(d.getDate())}T${z2(d.getHours())}:${z2(d.getMinutes())}:00`;
+  }
+
+  function addressText(addr) {
+    if (!addr) return '';
+    if (typeof addr === 'string') return text(addr);
+    const country = typeof addr.addressCountry === 'object' ? addr.addressCountry?.name : addr.addressCountry;
+    return [addr.streetAddress, addr.addressLocality, addr.addressRegion, addr.postalCode, country]
+      .map((p) => text(first(p))).filter(Boolean).join(', ');
+  }
+
+  function locationText(loc) {
+    const parts = [];
+    for (const l of [].concat(loc || [])) {
+      if (typeof l === 'string') parts.push(text(l));
+      else if (l && typeof l === 'object') {
+        const name = text(first(l.name));
+        const addr = addressText(first(l.address));
+        const line = [name, addr && addr !== name ? addr : ''].filter(Boolean).join(', ');
+        parts.push(line || text(first(l.url)));
+      }
+    }
+    return parts.filter(Boolean).join(' / ');
+  }
+
+  // schema.org Schedule → recurrence object as used by recurrence.js
+  function scheduleToRecurrence(schedule) {
+    const s = first(schedule);
+    if (!s || typeof s !== 'object') return null;
+    const freqMatch = /^P(\d+)([DWMY])$/i.exec(text(first(s.repeatFrequency)));
+    const words = { daily: ['DAILY', 1], weekly: ['WEEKLY', 1], monthly: ['MONTHLY', 1], yearly: ['YEARLY', 1], annually: ['YEARLY', 1] };
+    let frequency;
+    let interval = 1;
+    if (freqMatch) {
+      frequency = { D: 'DAILY', W: 'WEEKLY', M: 'MONTHLY', Y: 'YEARLY' }[freqMatch[2].toUpperCase()];
+      interval = parseInt(freqMatch[1], 10) || 1;
+    } else {
+      [frequency, interval] = words[text(first(s.repeatFrequency)).toLowerCase()] || [];
+    }
+    if (!frequency) return null;
+    const byDay = [].concat(s.byDay || [])
+      .map((d) => DAY_CODES[String(d).split(/[/#]/).pop().toLowerCase()])
+      .filter(Boolean);
+    const until = normalizeDate(s.endDate);
+    const count = parseInt(first(s.repeatCount), 10);
+    return { frequency, interval, byDay, until: until ? until.slice(0, 10) : null, count: Number.isFinite(count) ? count : null };
+  }
+
+  function toEvent(obj, format) {
+    let start = normalizeDate(obj.startDate);
+    let end = normalizeDate(obj.endDate);
+    const schedule = first(obj.eventSchedule);
+    const recurrence = scheduleToRecurrence(schedule);
+    // A Schedule carries its own first date/time when the event itself has none
+    if (!start && schedule?.startDate) {
+      const day = normalizeDate(schedule.startDate)?.slice(0, 10);
+      const time = text(first(schedule.startTime)).slice(0, 5);
+      start = day ? (time ? `${day}T${time}:00` : day) : null;
+      const endTime = text(first(schedule.endTime)).slice(0, 5);
+      end = day && endTime ? `${day}T${endTime}:00` : end;
+    }
+    if (!start) return null;
+    return {
+      title: text(first(obj.name)) || 'Untitled event',
+      start,
+      end,
+      location: locationText(obj.location) || null,
+      hasTime: /T\d{2}:\d{2}/.test(start),
+      timeZone: text(first(schedule?.scheduleTimezone)) || null,
+      recurrence,
+      description: text(first(obj.description)).slice(0, 2000),
+      url: text(first(obj.url)) || location.href,
+      format,
+    };
+  }
+
+  // --- JSON-LD ---------------------------------------------------------------
+  function fromJsonLd() {
+    const out = [];
+    const seen = new Set();
+    const walk = (node) => {
+      if (!node || typeof node !== 'object' || seen.has(node)) return;
+      seen.add(node);
+      if (Array.isArray(node)) { node.forEach(walk); return; }
+      if (isEventType(node['@type'])) {
+        const ev = toEvent(node, 'json-ld');
+        if (ev) out.push(ev);
+      }
+      // @graph, ItemList items, subEvent, Place.event, ... — events can be nested anywhere
+      for (const value of Object.values(node)) if (value && typeof value === 'object') walk(value);
+    };
+    for (const script of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        walk(JSON.parse(script.textContent));
+      } catch {
+        // Malformed blocks are common; skip them
+      }
+    }
+    return out;
+  }
+
+  // --- Microdata -------------------------------------------------------------
+  function itemValue(el) {
+    if (el.hasAttribute('itemscope')) return readItem(el);
+    if (el.hasAttribute('content')) return el.getAttribute('content');
+    switch (el.tagName) {
+      case 'TIME': return el.getAttribute('datetime') || el.textContent;
+      case 'A': case 'LINK': case 'AREA': return el.href;
+      case 'IMG': case 'SOURCE': case 'AUDIO': case 'VIDEO': return el.src;
+      case 'DATA': case 'METER': return el.getAttribute('value');
+      default: return el.textContent;
+    }
+  }
+
+  function readItem(scope) {
+    const item = { '@type': (scope.getAttribute('itemtype') || '').split(/\s+/) };
+    for (const el of scope.querySelectorAll('[itemprop]')) {
+      // Only properties of this item, not of items nested inside it
+      if (el.parentElement?.closest('[itemscope]') !== scope) continue;
+      for (const prop of el.getAttribute('itemprop').split(/\s+/)) {
+        const value = itemValue(el);
+        item[prop] = item[prop] === undefined ? value : [].concat(item[prop], value);
+      }
+    }
+    return item;
+  }
+
+  function fromMicrodata() {
+    return [...document.querySelectorAll('[itemscope][itemtype]')]
+      .filter((el) => isEventType(el.getAttribute('itemtype').split(/\s+/)))
+      .map((el) => toEvent(readItem(el), 'microdata'))
+      .filter(Boolean);
+  }
+
+  // --- hCalendar -------------------------------------------------------------
+  function mfValue(root, classes, kind) {
+    const el = root.querySelector(classes.map((c) => `.${c}`).join(','));
+    if (!el) return '';
+    if (kind === 'dt') {
+      const vt = el.querySelector('.value-title');
+      return el.getAttribute('datetime') || vt?.getAttribute('title') || (el.tagName === 'ABBR' && el.title) ||
+        el.querySelector('.value')?.textContent || el.textContent;
+    }
+    if (kind === 'u') return el.href || el.getAttribute('src') || el.textContent;
+    return el.tagName === 'ABBR' && el.title ? el.title : el.textContent;
+  }
+
+  function fromHCalendar() {
+    return [...document.querySelectorAll('.vevent, .h-event')].map((root) => toEvent({
+      name: mfValue(root, ['p-name', 'summary'], 'p'),
+      startDate: mfValue(root, ['dt-start', 'dtstart'], 'dt'),
+      endDate: mfValue(root, ['dt-end', 'dtend'], 'dt'),
+      location: mfValue(root, ['p-location', 'location'], 'p'),
+      description: mfValue(root, ['p-description', 'e-description', 'description', 'p-summary'], 'p'),
+      url: mfValue(root, ['u-url', 'url'], 'u'),
+    }, 'hcalendar')).filter(Boolean);
+  }
+
+  // The same event is often marked up more than one way; keep the first (JSON-LD is richest)
+  const events = [];
+  const keys = new Set();
+  for (const ev of [...fromJsonLd(), ...fromMicrodata(), ...fromHCalendar()]) {
+    const key = `${ev.title.toLowerCase()}|${ev.start.slice(0, 16)}`;
+    if (keys.has(key)) continue;
+    keys.add(key);
+    events.push(ev);
+  }
+  return events;
+})();
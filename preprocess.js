@@ -0,0 +1,230 @@
+// preprocess.js – image clean-up before OCR (every provider, Tesseract included).
+// Steps run in a fixed order, each one optional (options.html → "Image preprocessing"):
+//   upscale → grayscale → invert (dark mode) → contrast → threshold → deskew
+// Works on OffscreenCanvas, so it runs in extension pages and workers alike.
+
+export const PREPROCESS_STEPS = ['upscale', 'grayscale', 'invert', 'contrast', 'threshold', 'deskew'];
+
+// Every step is opt-in: each one changes what a paid vision provider receives (upscaling also
+// costs image tokens), so nothing is applied until it is ticked in options
+export const DEFAULT_PREPROCESS = {
+  upscale: false,
+  grayscale: false,
+  invert: false,
+  contrast: false,
+  threshold: false,
+  deskew: false,
+};
+
+const UPSCALE_TARGET = 1200; // px on the long side
+const MAX_UPSCALE = 3;
+const DARK_MEAN = 110; // mean luminance below this is treated as light-on-dark text
+const MAX_SKEW = 10; // degrees searched either way
+const SKEW_STEP = 0.5;
+const MIN_SKEW = 0.5; // smaller angles are left alone
+
+export function normalizePreprocess(raw) {
+  const out = { ...DEFAULT_PREPROCESS };
+  for (const step of PREPROCESS_STEPS) {
+    if (typeof raw?.[step] === 'boolean') out[step] = raw[step];
+  }
+  return out;
+}
+
+const luminance = (d, i) => 0.299 * d[i] + 0.587 * d[i + 1] + 0.114 * d[i + 2];
+
+function meanLuminance(img) {
+  const d = img.data;
+  let sum = 0;
+  for (let i = 0; i < d.length; i += 4) sum += luminance(d, i);
+  return sum / (d.length / 4);
+}
+
+function toGray(img) {
+  const d = img.data;
+  for (let i = 0; i < d.length; i += 4) {
+    const y = luminance(d, i);
+    d[i] = d[i + 1] = d[i + 2] = y;
+  }
+}
+
+function invert(img) {
+  const d = img.data;
+  for (let i = 0; i < d.length; i += 4) {
+    d[i] = 255 - d[i];
+    d[i + 1] = 255 - d[i + 1];
+    d[i + 2] = 255 - d[i + 2];
+  }
+}
+
+function histogram(img) {
+  const hist = new Uint32Array(256);
+  const d = img.data;
+  for (let i = 0; i < d.length; i += 4) hist[Math.round(luminance(d, i))]++;
+  return hist;
+}
+
+// Stretch the 1st–99th luminance percentile range to the full 0–255 range
+function stretchContrast(img) {
+  const hist = histogram(img);
+  const total = img.data.length / 4;
+  let lo = 0;
+  let hi = 255;
+  for (let acc = 0; lo < 255 && (acc += hist[lo]) < total * 0.01; lo++);
+  for (let acc = 0; hi > 0 && (acc += hist[hi]) < total * 0.01; hi--);
+  if (hi - lo < 8) return;
+  const scale = 255 / (hi - lo);
+  const d = img.data;
+  for (let i = 0; i < d.length; i += 4) {
+    for (let c = 0; c < 3; c++) d[i + c] = Math.max(0, Math.min(255, (d[i + c] - lo) * scale));
+  }
+}
+
+// Otsu's method: the cut that best separates ink from paper
+function otsuLevel(hist, total) {
+  let sumAll = 0;
+  for (let t = 0; t < 256; t++) sumAll += t * hist[t];
+  let sumBack = 0;
+  let weightBack = 0;
+  let best = 0;
+  let level = 128;
+  for (let t = 0; t < 256; t++) {
+    weightBack += hist[t];
+    if (!weightBack) continue;
+    const weightFore = total - weightBack;
+    if (!weightFore) break;
+    sumBack += t * hist[t];
+    const meanBack = sumBack / weightBack;
+    const meanFore = (sumAll - sumBack) / weightFore;
+    const between = weightBack * weightFore * (meanBack - meanFore) ** 2;
+    if (between > best) {
+      best = between;
+      level = t;
+    }
+  }
+  return level;
+}
+
+function threshold(img) {
+  const level = otsuLevel(histogram(img), img.data.length / 4);
+  const d = img.data;
+  for (let i = 0; i < d.length; i += 4) {
+    const v = luminance(d, i) > level ? 255 : 0;
+    d[i] = d[i + 1] = d[i + 2] = v;
+  }
+}
+
+// Skew angle (degrees) by projection profile: text rows give the sharpest row histogram when
+// the image is rotated back by the right angle. Uses a sample of the dark pixels.
+function estimateSkew(img) {
+  const { width, height, data } = img;
+  const level = otsuLevel(histogram(img), width * height);
+  const stride = Math.max(1, Math.floor(Math.sqrt((width * height) / 40000)));
+  const xs = [];
+  const ys = [];
+  for (let y = 0; y < height; y += stride) {
+    for (let x = 0; x < width; x += stride) {
+      if (luminance(data, (y * width + x) * 4) <= level) {
+        xs.push(x);
+        ys.push(y);
+      }
+    }
+  }
+  if (xs.length < 50) return 0;
+
+  const bins = new Float64Array(height * 2 + width);
+  let bestAngle = 0;
+  let bestScore = -1;
+  for (let deg = -MAX_SKEW; deg <= MAX_SKEW; deg += SKEW_STEP) {
+    const t = Math.tan((deg * Math.PI) / 180);
+    bins.fill(0);
+    for (let i = 0; i < xs.length; i++) bins[Math.round(ys[i] - xs[i] * t + width)]++;
+    let score = 0;
+    for (let i = 0; i < bins.length; i++) score += bins[i] * bins[i];
+    if (score > bestScore) {
+      bestScore = score;
+      bestAngle = deg;
+    }
+  }
+  return bestAngle;
+}
+
+function canvasFrom(source, width, height) {
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(source, 0, 0, width, height);
+  return { canvas, ctx };
+}
+
+async function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// dataUrl → { dataUrl, applied: ['upscale ×2.0', ...], width, height }. When no step changes
+// anything the original data URL comes back untouched (and `applied` is empty).
+export async function preprocessImage(dataUrl, options = DEFAULT_PREPROCESS) {
+  const opts = normalizePreprocess(options);
+  const bitmap = await createImageBitmap(await (await fetch(dataUrl)).blob());
+  const applied = [];
+
+  let scale = 1;
+  if (opts.upscale) {
+    const longSide = Math.max(bitmap.width, bitmap.height);
+    scale = Math.min(MAX_UPSCALE, UPSCALE_TARGET / longSide);
+    if (scale >= 1.2) applied.push(`upscale ×${scale.toFixed(1)}`);
+    else scale = 1;
+  }
+  const { canvas: scaled, ctx } = canvasFrom(bitmap, Math.round(bitmap.width * scale), Math.round(bitmap.height * scale));
+  let canvas = scaled;
+  bitmap.close?.();
+
+  const pixelSteps = opts.grayscale || opts.invert || opts.contrast || opts.threshold || opts.deskew;
+  const img = pixelSteps ? ctx.getImageData(0, 0, canvas.width, canvas.height) : null;
+  if (img) {
+    if (opts.grayscale || opts.threshold) {
+      toGray(img);
+      applied.push('grayscale');
+    }
+    if (opts.invert && meanLuminance(img) < DARK_MEAN) {
+      invert(img);
+      applied.push('invert');
+    }
+    if (opts.contrast) {
+      stretchContrast(img);
+      applied.push('contrast');
+    }
+    if (opts.threshold) {
+      threshold(img);
+      applied.push('threshold');
+    }
+    ctx.putImageData(img, 0, 0);
+  }
+
+  const angle = opts.deskew ? estimateSkew(img) : 0;
+  if (Math.abs(angle) >= MIN_SKEW) {
+    const rad = (-angle * Math.PI) / 180;
+    const w = canvas.width;
+    const h = canvas.height;
+    const rw = Math.ceil(Math.abs(w * Math.cos(rad)) + Math.abs(h * Math.sin(rad)));
+    const rh = Math.ceil(Math.abs(w * Math.sin(rad)) + Math.abs(h * Math.cos(rad)));
+    const rotated = new OffscreenCanvas(rw, rh);
+    const rctx = rotated.getContext('2d');
+    rctx.fillStyle = meanLuminance(img) < 128 ? '#000' : '#fff';
+    rctx.fillRect(0, 0, rw, rh);
+    rctx.translate(rw / 2, rh / 2);
+    rctx.rotate(rad);
+    rctx.drawImage(canvas, -w / 2, -h / 2);
+    canvas = rotated;
+    applied.push(`deskew ${angle > 0 ? '+' : ''}${angle}°`);
+  }
+
+  if (!applied.length) return { dataUrl, applied, width: canvas.width, height: canvas.height };
+  const blob = await canvas.convertToBlob({ type: 'image/png' });
+  return { dataUrl: await blobToDataUrl(blob), applied, width: canvas.width, height: canvas.height };
+}
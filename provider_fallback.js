@@ -0,0 +1,59 @@
+// provider_fallback.js – ordered fallback chains for OCR and parsing (options.html → "Fallbacks").
+// A provider failing for a reason the next one may not share (rate limit, quota, outage, missing
+// model or key) hands over to the next in the chain; anything else stops the chain.
+
+export const FAILURE_LABELS = {
+  'rate-limit': 'rate limited',
+  quota: 'quota exceeded',
+  server: 'server error',
+  model: 'model unavailable',
+  auth: 'not configured or key rejected',
+  network: 'network error',
+  'bad-response': 'unreadable response',
+};
+
+// err (from api_calls.js, with .status when HTTP) → a FAILURE_LABELS key, or null when a
+// fallback would not help
+export function classifyProviderError(err) {
+  if (err?.name === 'AbortError') return null; // cancelled by the user
+  const status = err?.status || 0;
+  const msg = String(err?.message || '');
+  if (status === 429 || /rate.?limit|too many requests|resource.?exhausted/i.test(msg)) return 'rate-limit';
+  if (status === 402 || /quota|billing|insufficient|credit balance/i.test(msg)) return 'quota';
+  if (status >= 500 || /overloaded|unavailable|internal (server )?error|timed? ?out/i.test(msg)) return 'server';
+  if (status === 404 || /model\b.*\b(not found|does not exist|not supported|deprecated)|(unknown|invalid) model/i.test(msg)) return 'model';
+  // A missing key or custom endpoint URL only rules out this provider, not the next one
+  if (status === 401 || status === 403 || /(key|url) (is )?missing|api key|unauthori[sz]ed|permission denied/i.test(msg)) return 'auth';
+  if (err instanceof TypeError || /failed to fetch|network/i.test(msg)) return 'network';
+  if (err instanceof SyntaxError || /json/i.test(msg)) return 'bad-response';
+  return null;
+}
+
+// Primary first, then the configured fallbacks without repeats
+export function buildChain(primary, fallbacks = []) {
+  return [...new Set([primary, ...fallbacks].filter(Boolean))];
+}
+
+// Runs attempt(provider, index) down the chain. Resolves { value, provider, failures } where
+// failures lists the providers that were skipped: [{ provider, kind, error }].
+export async function runProviderChain(chain, attempt) {
+  const failures = [];
+  for (let i = 0; i < chain.length; i++) {
+    const provider = chain[i];
+    try {
+      const value = await attempt(provider, i);
+      return { value, provider, failures };
+    } catch (e) {
+      if (e?.name === 'AbortError') throw e;
+      const kind = classifyProviderError(e);
+      failures.push({ provider, kind, error: e.message });
+      const last = i === chain.length - 1;
+      if (!kind || last) {
+        if (failures.length === 1) throw e;
+        throw new Error(failures.map((f) => `${f.provider}: ${f.error}`).join(' | '));
+      }
+      console.warn(`[T2C] ${provider} failed (${FAILURE_LABELS[kind]}), trying ${chain[i + 1]}:`, e.message);
+    }
+  }
+  throw new Error('No provider configured');
+}
@@ -0,0 +1,89 @@
+// provider_request.js – the one fetch() every OCR/parse provider call goes through.
+// Adds a per-provider timeout, retries with jittered exponential backoff on 429/5xx and network
+// errors (honouring Retry-After), and cancellation through an AbortSignal from the caller.
+
+// ms per attempt; vision calls upload an image and take longer than text parsing
+export const REQUEST_TIMEOUTS = {
+  'google-vision': 30000,
+  'openai-vision': 60000,
+  'claude-vision': 60000,
+  'gemini-vision': 60000,
+  openai: 45000,
+  claude: 45000,
+  gemini: 45000,
+  // Local models on modest hardware can take minutes to load and answer
+  'custom-vision': 180000,
+  custom: 120000,
+};
+const DEFAULT_TIMEOUT = 45000;
+
+const MAX_RETRIES = 2;
+const BACKOFF_BASE = 1000;
+const MAX_RETRY_WAIT = 20000; // a longer Retry-After is left to the fallback chain
+const RETRY_STATUS = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+// Thrown when the caller aborts; never retried, never handed to a fallback provider
+export function cancelledError() {
+  return new DOMException('Request cancelled', 'AbortError');
+}
+
+// Resolves after ms, or rejects as soon as `signal` aborts
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(cancelledError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(cancelledError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+// Retry-After is either delta-seconds or an HTTP date; → ms, or null when absent/unreadable
+function retryAfterMs(response) {
+  const value = response.headers.get('retry-after');
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// "Full jitter": a random wait up to the exponential step, so parallel retries spread out
+function backoffMs(attempt) {
+  return Math.random() * BACKOFF_BASE * 2 ** attempt;
+}
+
+// fetch() with the provider's timeout, retries and the caller's abort signal. Resolves with the
+// final Response (also a failed one once retries run out; callers read the error body).
+export async function providerFetch(provider, url, init = {}, { signal } = {}) {
+  const timeout = REQUEST_TIMEOUTS[provider] || DEFAULT_TIMEOUT;
+  for (let attempt = 0; ; attempt++) {
+    if (signal?.aborted) throw cancelledError();
+    const attemptSignal = signal ? AbortSignal.any([signal, AbortSignal.timeout(timeout)]) : AbortSignal.timeout(timeout);
+    let response;
+    try {
+      response = await fetch(url, { ...init, signal: attemptSignal });
+    } catch (e) {
+      if (signal?.aborted) throw cancelledError();
+      const timedOut = e?.name === 'TimeoutError';
+      if (attempt >= MAX_RETRIES) {
+        throw timedOut ? new Error(`${provider} request timed out after ${timeout / 1000}s`) : e;
+      }
+      const wait = backoffMs(attempt);
+      console.warn(`[T2C] ${provider} ${timedOut ? 'timed out' : `network error (${e.message})`}; retry ${attempt + 1} in ${Math.round(wait)} ms`);
+      await sleep(wait, signal);
+      continue;
+    }
+    if (!RETRY_STATUS.has(response.status) || attempt >= MAX_RETRIES) return response;
+    const hinted = retryAfterMs(response);
+    if (hinted !== null && hinted > MAX_RETRY_WAIT) return response;
+    const wait = hinted ?? backoffMs(attempt);
+    console.warn(`[T2C] ${provider} returned ${response.status}; retry ${attempt + 1} in ${Math.round(wait)} ms`);
+    await sleep(wait, signal);
+  }
+}
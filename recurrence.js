@@ -0,0 +1,141 @@
+// recurrence.js – structured recurrence <-> RFC 5545 RRULE helpers
+// Shape used everywhere: { frequency, interval, byDay, until, count }
+//   frequency: 'DAILY' | 'WEEKLY' | 'MONTHLY' | 'YEARLY'
+//   interval:  integer >= 1
+//   byDay:     ['MO', 'WE'] for weekly, ['1TU'] / ['-1FR'] for "first Tuesday" / "last Friday"
+//   until:     'YYYY-MM-DD' (inclusive) or null
+//   count:     integer or null (never together with until)
+
+import { localTimeZone, utcToZonedTime, zonedTimeToUtc } from './timezones.js';
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+export const WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+const DAY_NAMES = {
+  mo: 'MO', mon: 'MO', monday: 'MO',
+  tu: 'TU', tue: 'TU', tues: 'TU', tuesday: 'TU',
+  we: 'WE', wed: 'WE', wednesday: 'WE',
+  th: 'TH', thu: 'TH', thur: 'TH', thurs: 'TH', thursday: 'TH',
+  fr: 'FR', fri: 'FR', friday: 'FR',
+  sa: 'SA', sat: 'SA', saturday: 'SA',
+  su: 'SU', sun: 'SU', sunday: 'SU',
+};
+
+const DAY_LABELS = { MO: 'Mon', TU: 'Tue', WE: 'Wed', TH: 'Thu', FR: 'Fri', SA: 'Sat', SU: 'Sun' };
+const ORDINAL_LABELS = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth', '-1': 'last' };
+
+const ORDINAL_WORDS = { first: 1, second: 2, third: 3, fourth: 4, fifth: 5, last: -1 };
+
+// 'Tuesday', 'tu', '1TU', '+1TU', 'first tuesday', '-1 friday' → 'TU' / '1TU' / '-1FR' (null if unreadable)
+function normalizeByDayToken(token) {
+  const m = /^\s*([+-]?\d{1,2}|first|second|third|fourth|fifth|last)?\s*([a-z]+)\s*$/i.exec(String(token || ''));
+  if (!m) return null;
+  const day = DAY_NAMES[m[2].toLowerCase()];
+  if (!day) return null;
+  const ord = m[1] ? (ORDINAL_WORDS[m[1].toLowerCase()] ?? parseInt(m[1], 10)) : null;
+  if (ord === null) return day;
+  if (ord === 0 || Math.abs(ord) > 5) return day;
+  return `${ord}${day}`;
+}
+
+function toDateOnly(value) {
+  if (!value) return null;
+  const s = String(value).trim();
+  let m = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(s);
+  if (m) return `${m[1]}-${m[2]}-${m[3]}`;
+  const d = new Date(s);
+  if (isNaN(d)) return null;
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+// Accepts parser output (object or "RRULE:..." string) and returns a clean recurrence or null
+export function normalizeRecurrence(raw) {
+  if (!raw) return null;
+  if (typeof raw === 'string') return raw.trim() ? parseRRule(raw) : null;
+  if (typeof raw !== 'object') return null;
+
+  const frequency = String(raw.frequency || raw.freq || '').toUpperCase();
+  if (!FREQUENCIES.includes(frequency)) return null;
+
+  const interval = Math.max(1, parseInt(raw.interval, 10) || 1);
+  const rawDays = Array.isArray(raw.byDay) ? raw.byDay
+    : (typeof raw.byDay === 'string' ? raw.byDay.split(',') : []);
+  const byDay = [...new Set(rawDays.map(normalizeByDayToken).filter(Boolean))];
+  const until = toDateOnly(raw.until);
+  const countNum = parseInt(raw.count, 10);
+  const count = !until && countNum > 0 ? countNum : null;
+
+  return { frequency, interval, byDay, until, count };
+}
+
+// A UTC UNTIL ('20261231T075959Z') is an instant; the last day is its date in the event's zone
+function untilDate(value, timeZone) {
+  const m = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/i.exec(value || '');
+  if (!m) return value || null;
+  const instant = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]));
+  return utcToZonedTime(instant, timeZone || localTimeZone()).date;
+}
+
+// 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=FR' → recurrence object (null if not a usable rule).
+// `timeZone` is the event's zone, used to read a UTC UNTIL (default: the browser's).
+export function parseRRule(str, { timeZone } = {}) {
+  const body = String(str || '').trim().replace(/^RRULE:/i, '');
+  const parts = {};
+  for (const piece of body.split(';')) {
+    const [k, v] = piece.split('=');
+    if (k && v !== undefined) parts[k.trim().toUpperCase()] = v.trim();
+  }
+  if (!parts.FREQ) return null;
+
+  let byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+  // BYDAY=TU;BYSETPOS=1 is the other common way of writing "first Tuesday"
+  if (parts.BYSETPOS && byDay.length === 1 && /^[A-Z]{2}$/i.test(byDay[0])) {
+    byDay = [`${parts.BYSETPOS}${byDay[0]}`];
+  }
+  return normalizeRecurrence({
+    frequency: parts.FREQ,
+    interval: parts.INTERVAL,
+    byDay,
+    until: untilDate(parts.UNTIL, timeZone),
+    count: parts.COUNT || null,
+  });
+}
+
+// End of an inclusive 'YYYY-MM-DD' in `timeZone` → 'YYYYMMDDTHHMMSSZ'
+function untilUtcStamp(dateOnly, timeZone) {
+  const endOfDay = zonedTimeToUtc(dateOnly, '23:59', timeZone || localTimeZone()).getTime() + 59000;
+  return new Date(endOfDay).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// recurrence → 'RRULE:FREQ=...' (empty string when there is nothing to repeat)
+// allDay events use a DATE value for UNTIL, timed events a UTC DATE-TIME (RFC 5545 §3.3.10)
+// at the end of that day in `timeZone`, the event's zone (default: the browser's).
+export function buildRRule(rec, { allDay = false, timeZone } = {}) {
+  const r = normalizeRecurrence(rec);
+  if (!r) return '';
+  const parts = [`FREQ=${r.frequency}`];
+  if (r.interval > 1) parts.push(`INTERVAL=${r.interval}`);
+  if (r.byDay.length) parts.push(`BYDAY=${r.byDay.join(',')}`);
+  if (r.until) parts.push(`UNTIL=${allDay ? r.until.replace(/-/g, '') : untilUtcStamp(r.until, timeZone)}`);
+  else if (r.count) parts.push(`COUNT=${r.count}`);
+  return `RRULE:${parts.join(';')}`;
+}
+
+// Short human summary for the event list, e.g. "Every 2 weeks on Fri", "Monthly on the first Tue"
+export function describeRecurrence(rec) {
+  const r = normalizeRecurrence(rec);
+  if (!r) return '';
+  const unit = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' }[r.frequency];
+  const adverb = { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly', YEARLY: 'Yearly' }[r.frequency];
+  let text = r.interval > 1 ? `Every ${r.interval} ${unit}s` : adverb;
+
+  const days = r.byDay.map((tok) => {
+    const m = /^([+-]?\d+)?([A-Z]{2})$/.exec(tok);
+    if (!m) return tok;
+    return m[1] ? `the ${ORDINAL_LABELS[parseInt(m[1], 10)] || m[1]} ${DAY_LABELS[m[2]]}` : DAY_LABELS[m[2]];
+  });
+  if (days.length) text += ` on ${days.join(', ')}`;
+  if (r.until) text += ` until ${r.until}`;
+  else if (r.count) text += `, ${r.count} times`;
+  return text;
+}
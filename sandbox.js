@@ -1,9 +1,12 @@
 // sandbox.js — runs inside chrome-extension:// sandbox.html
 
-const WORKER_PATH = chrome.runtime.getURL('tesseract/worker.min.js');
-const CORE_SIMD_JS = chrome.runtime.getURL('tesseract/tesseract-core-simd.wasm.js');
-const CORE_JS      = chrome.runtime.getURL('tesseract/tesseract-core.wasm.js');
-const LANG_PATH    = chrome.runtime.getURL('tesseract/');
+// Sandboxed pages get no chrome.* APIs, so resolve bundle paths against our own URL.
+const assetUrl = (path) => new URL(path, location.href).href;
+
+const WORKER_PATH = assetUrl('tesseract/worker.min.js');
+const CORE_SIMD_JS = assetUrl('tesseract/tesseract-core-simd.wasm.js');
+const CORE_JS      = assetUrl('tesseract/tesseract-core.wasm.js');
+const LANG_PATH    = assetUrl('tesseract/');
 
 let corePathChosen = CORE_SIMD_JS;
 let ready = false;
@@ -51,11 +54,13 @@ window.addEventListener('message', async (ev) => {
     return;
   }
   if (msg.type !== 'TESS_OCR') return;
+  const id = msg.id ?? null; // echoed back so the host can match replies to requests
   if (!ready) {
-    parent.postMessage({ type: 'TESS_OCR_RESULT', ok:false, error:'Sandbox not initialized' }, '*');
+    parent.postMessage({ type: 'TESS_OCR_RESULT', id, ok:false, error:'Sandbox not initialized' }, '*');
     return;
   }
 
+  const lang = msg.lang || 'eng';
   let worker;
   try {
     worker = await Tesseract.createWorker({
@@ -63,16 +68,22 @@ window.addEventListener('message', async (ev) => {
       corePath: corePathChosen,
       langPath: LANG_PATH,
       workerBlobURL: false,
-      logger: () => {}
+      // { status: 'recognizing text', progress: 0.42 } → host → modal status line
+      logger: (m) => parent.postMessage({ type: 'TESS_PROGRESS', id, status: m.status, progress: m.progress }, '*')
     });
-    await worker.loadLanguage('eng');
-    await worker.initialize('eng', msg.psm ?? Tesseract.PSM.SINGLE_LINE);
+    await worker.loadLanguage(lang);
+    await worker.initialize(lang);
+    await worker.setParameters({ tessedit_pageseg_mode: msg.psm ?? Tesseract.PSM.SINGLE_LINE });
     const { data } = await worker.recognize(msg.dataUrl);
     await worker.terminate();
-    parent.postMessage({ type:'TESS_OCR_RESULT', ok:true, text:(data && data.text) || '' }, '*');
+    parent.postMessage({
+      type:'TESS_OCR_RESULT', id, ok:true,
+      text:(data && data.text) || '',
+      confidence: typeof data?.confidence === 'number' ? data.confidence : null
+    }, '*');
   } catch (e) {
     try { await worker?.terminate(); } catch {}
-    parent.postMessage({ type:'TESS_OCR_RESULT', ok:false, error:String(e) }, '*');
+    parent.postMessage({ type:'TESS_OCR_RESULT', id, ok:false, error:String(e) }, '*');
   }
 });
 
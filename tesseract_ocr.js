@@ -0,0 +1,41 @@
+// tesseract_ocr.js – local OCR through the offscreen document (offscreen.html → sandbox.html)
+// Used by api_calls.js from the service worker; nothing leaves the machine.
+
+const OFFSCREEN_URL = 'offscreen.html';
+let creating = null; // in-flight createDocument promise (only one offscreen doc is allowed)
+
+async function hasOffscreenDocument() {
+  const url = chrome.runtime.getURL(OFFSCREEN_URL);
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [url],
+  });
+  return contexts.length > 0;
+}
+
+async function ensureOffscreenDocument() {
+  if (await hasOffscreenDocument()) return;
+  if (!creating) {
+    creating = chrome.offscreen.createDocument({
+      url: OFFSCREEN_URL,
+      reasons: ['IFRAME_SCRIPTING', 'WORKERS'],
+      justification: 'Run the bundled Tesseract OCR engine locally in a sandboxed frame.',
+    }).finally(() => { creating = null; });
+  }
+  await creating;
+}
+
+// → { text, confidence } (confidence 0–100, or null if Tesseract did not report one)
+export async function recognizeWithTesseract(dataUrl, { lang = 'eng', psm = '3', requestId = null } = {}) {
+  await ensureOffscreenDocument();
+  const res = await chrome.runtime.sendMessage({
+    target: 'offscreen',
+    type: 'OFFSCREEN_TESS_OCR',
+    dataUrl,
+    lang,
+    psm, // 3 = fully automatic page segmentation (flyers, multi-line blocks)
+    requestId,
+  });
+  if (!res?.ok) throw new Error(res?.error || 'Tesseract OCR failed');
+  return { text: res.text || '', confidence: res.confidence ?? null };
+}
@@ -0,0 +1,213 @@
+// timezones.js – IANA time zone helpers built on Intl (no tz database bundled)
+
+export function localTimeZone() {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch {
+    return 'UTC';
+  }
+}
+
+const offsetFormatters = new Map();
+
+// Minutes east of UTC for `timeZone` at the instant `date` (e.g. -240 for New York in July)
+export function zoneOffsetMinutes(timeZone, date) {
+  let fmt = offsetFormatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit', second: '2-digit',
+    });
+    offsetFormatters.set(timeZone, fmt);
+  }
+  const p = {};
+  for (const { type, value } of fmt.formatToParts(date)) p[type] = value;
+  const asUtc = Date.UTC(+p.year, +p.month - 1, +p.day, +p.hour % 24, +p.minute, +p.second);
+  const whole = Math.floor(date.getTime() / 1000) * 1000;
+  return Math.round((asUtc - whole) / 60000);
+}
+
+// '+0530' / '-0400' style offset for iCalendar TZOFFSETFROM/TZOFFSETTO
+function formatIcsOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}${String(abs % 60).padStart(2, '0')}`;
+}
+
+// First instant (to the minute) in [lo, hi) where the zone offset differs from the one at lo
+function findTransition(timeZone, lo, hi) {
+  const before = zoneOffsetMinutes(timeZone, new Date(lo));
+  while (hi - lo > 60000) {
+    const mid = lo + Math.floor((hi - lo) / 120000) * 60000;
+    if (zoneOffsetMinutes(timeZone, new Date(mid)) === before) lo = mid;
+    else hi = mid;
+  }
+  return hi;
+}
+
+const ICS_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Offset transitions of `timeZone` during `year`: [{ at, from, to }]
+export function zoneTransitions(timeZone, year) {
+  const out = [];
+  const DAY = 86400000;
+  let t = Date.UTC(year, 0, 1);
+  const end = Date.UTC(year + 1, 0, 1);
+  let prev = zoneOffsetMinutes(timeZone, new Date(t));
+  for (; t < end; t += DAY) {
+    const next = zoneOffsetMinutes(timeZone, new Date(t + DAY));
+    if (next !== prev) {
+      out.push({ at: findTransition(timeZone, t, t + DAY), from: prev, to: next });
+      prev = next;
+    }
+  }
+  return out;
+}
+
+function wallClockStamp(utcMs, offsetMinutes) {
+  const d = new Date(utcMs + offsetMinutes * 60000);
+  const z = (n) => String(n).padStart(2, '0');
+  return `${d.getUTCFullYear()}${z(d.getUTCMonth() + 1)}${z(d.getUTCDate())}T${z(d.getUTCHours())}${z(d.getUTCMinutes())}00`;
+}
+
+// VTIMEZONE lines for `timeZone`, with yearly rules derived from the transitions in `year`.
+// Zones without DST get a single STANDARD block.
+export function buildVTimezone(timeZone, year = new Date().getFullYear()) {
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+  const transitions = zoneTransitions(timeZone, year);
+
+  if (!transitions.length) {
+    const off = formatIcsOffset(zoneOffsetMinutes(timeZone, new Date(Date.UTC(year, 0, 1))));
+    lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${off}`, `TZOFFSETTO:${off}`, 'END:STANDARD');
+  } else {
+    const maxTo = Math.max(...transitions.map((tr) => tr.to));
+    for (const tr of transitions) {
+      const kind = tr.to === maxTo && tr.to > tr.from ? 'DAYLIGHT' : 'STANDARD';
+      // DTSTART is the local wall time just before the change (RFC 5545 §3.6.5)
+      const local = new Date(tr.at + tr.from * 60000);
+      const day = local.getUTCDate();
+      const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+      const nth = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+      lines.push(
+        `BEGIN:${kind}`,
+        `DTSTART:${wallClockStamp(tr.at, tr.from)}`,
+        `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${nth}${ICS_DAYS[local.getUTCDay()]}`,
+        `TZOFFSETFROM:${formatIcsOffset(tr.from)}`,
+        `TZOFFSETTO:${formatIcsOffset(tr.to)}`,
+        `END:${kind}`
+      );
+    }
+  }
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
+
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Abbreviations as they appear on flyers and invites. Several are ambiguous worldwide
+// (IST, CST, BST); these are the readings North American/European text usually means.
+const ABBREVIATION_ZONES = {
+  ET: 'America/New_York', EST: 'America/New_York', EDT: 'America/New_York',
+  CT: 'America/Chicago', CST: 'America/Chicago', CDT: 'America/Chicago',
+  MT: 'America/Denver', MST: 'America/Denver', MDT: 'America/Denver',
+  PT: 'America/Los_Angeles', PST: 'America/Los_Angeles', PDT: 'America/Los_Angeles',
+  AKST: 'America/Anchorage', AKDT: 'America/Anchorage', HST: 'Pacific/Honolulu',
+  UTC: 'UTC', GMT: 'UTC',
+  BST: 'Europe/London', WET: 'Europe/Lisbon', WEST: 'Europe/Lisbon',
+  CET: 'Europe/Paris', CEST: 'Europe/Paris', EET: 'Europe/Athens', EEST: 'Europe/Athens',
+  IST: 'Asia/Kolkata', SGT: 'Asia/Singapore', HKT: 'Asia/Hong_Kong', JST: 'Asia/Tokyo', KST: 'Asia/Seoul',
+  AEST: 'Australia/Sydney', AEDT: 'Australia/Sydney', ACST: 'Australia/Adelaide', ACDT: 'Australia/Adelaide',
+  AWST: 'Australia/Perth', NZST: 'Pacific/Auckland', NZDT: 'Pacific/Auckland',
+};
+
+// Spelled-out names, after "Standard"/"Daylight"/"Time" are stripped
+const NAMED_ZONES = {
+  EASTERN: 'America/New_York', CENTRAL: 'America/Chicago', MOUNTAIN: 'America/Denver',
+  PACIFIC: 'America/Los_Angeles', ALASKA: 'America/Anchorage', HAWAII: 'Pacific/Honolulu',
+  Z: 'UTC', ZULU: 'UTC', UNIVERSAL: 'UTC', GREENWICH: 'UTC',
+};
+
+// Abbreviations the text parser may match after a time ("2pm ET")
+export const ZONE_ABBREVIATIONS = Object.keys(ABBREVIATION_ZONES);
+
+// Fixed offsets without a DST-free Etc/ zone of their own
+const FRACTIONAL_OFFSET_ZONES = {
+  [-570]: 'Pacific/Marquesas', 270: 'Asia/Kabul', 330: 'Asia/Kolkata', 345: 'Asia/Kathmandu',
+  390: 'Asia/Yangon', 570: 'Australia/Darwin', 525: 'Australia/Eucla',
+};
+
+// Minutes east of UTC → IANA zone. Etc/GMT signs are inverted by POSIX convention.
+function zoneForOffset(minutes) {
+  if (minutes === 0) return 'UTC';
+  if (minutes % 60 === 0 && Math.abs(minutes) <= 14 * 60) {
+    return `Etc/GMT${minutes > 0 ? '-' : '+'}${Math.abs(minutes) / 60}`;
+  }
+  return FRACTIONAL_OFFSET_ZONES[minutes] || null;
+}
+
+// "ET", "Eastern Standard Time", "UTC+5:30", "-04:00", "europe/berlin" → IANA zone, or null
+export function resolveTimeZone(value) {
+  const raw = String(value ?? '').trim().replace(/[()]/g, '').trim();
+  if (!raw) return null;
+
+  const name = raw.toUpperCase().replace(/\s+/g, ' ').replace(/ (?:STANDARD|DAYLIGHT|SUMMER)\b/, '').replace(/ (?:MEAN )?TIME$/, '');
+  if (ABBREVIATION_ZONES[name]) return ABBREVIATION_ZONES[name];
+  if (NAMED_ZONES[name]) return NAMED_ZONES[name];
+
+  const off = raw.match(/^(?:UTC|GMT)?\s*([+\-−])\s*(\d{1,2})(?::?(\d{2}))?$/i);
+  if (off) {
+    const minutes = (parseInt(off[2], 10) * 60 + parseInt(off[3] || '0', 10)) * (off[1] === '+' ? 1 : -1);
+    return zoneForOffset(minutes);
+  }
+
+  if (/^[A-Za-z_]+(?:\/[A-Za-z0-9_+\-]+)+$/.test(raw) && isValidTimeZone(raw)) {
+    // Intl hands back the canonical spelling ("america/new_york" → "America/New_York")
+    return new Intl.DateTimeFormat('en-US', { timeZone: raw }).resolvedOptions().timeZone;
+  }
+  return null;
+}
+
+// Wall-clock date/time in `timeZone` → Date instant. Times skipped by a spring-forward jump move past it.
+export function zonedTimeToUtc(ymd, hm, timeZone) {
+  const [y, m, d] = ymd.split('-').map(Number);
+  const [hh, mm] = (hm || '00:00').split(':').map(Number);
+  const wall = Date.UTC(y, m - 1, d, hh, mm);
+  const first = wall - zoneOffsetMinutes(timeZone, new Date(wall)) * 60000;
+  const second = wall - zoneOffsetMinutes(timeZone, new Date(first)) * 60000;
+  // `second` is exact unless the wall time does not exist; then `first` is the time after the jump
+  const exact = wall - zoneOffsetMinutes(timeZone, new Date(second)) * 60000 === second;
+  return new Date(exact ? second : Math.max(first, second));
+}
+
+// Date instant → wall clock in `timeZone`: { date: 'YYYY-MM-DD', time: 'HH:MM' }
+export function utcToZonedTime(date, timeZone) {
+  const wall = new Date(date.getTime() + zoneOffsetMinutes(timeZone, date) * 60000).toISOString();
+  return { date: wall.slice(0, 10), time: wall.slice(11, 16) };
+}
+
+// Short display name at `date`: "EST", "GMT+1", ...
+export function zoneAbbreviation(timeZone, date = new Date()) {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }).formatToParts(date);
+    return parts.find((p) => p.type === 'timeZoneName')?.value || timeZone;
+  } catch {
+    return timeZone;
+  }
+}
+
+// Every zone the browser knows, for pickers
+export function listTimeZones() {
+  try {
+    return Intl.supportedValuesOf('timeZone');
+  } catch {
+    return [localTimeZone(), 'UTC'];
+  }
+}